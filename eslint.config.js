@@ -8,7 +8,12 @@ export default [
       sourceType: 'module',
       globals: {
         console: 'readonly',
-        process: 'readonly'
+        process: 'readonly',
+        Buffer: 'readonly',
+        Blob: 'readonly',
+        FormData: 'readonly',
+        setTimeout: 'readonly',
+        URL: 'readonly'
       }
     },
     rules: {
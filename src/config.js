@@ -2,6 +2,8 @@
  * Configuration management for MCP Zephyr Server
  */
 
+import os from 'os';
+import path from 'path';
 import { config as dotenvConfig } from 'dotenv';
 // 17.2.3 is noisy, silence it
 const originalLog = console.log;
@@ -9,47 +11,127 @@ console.log = function () { }; // No-op
 dotenvConfig();
 console.log = originalLog; // Restore
 
-const getBaseUrl = () => {
-  const region = process.env.ZEPHYR_REGION?.toLowerCase() || 'us';
-
-  if (process.env.ZEPHYR_BASE_URL) {
-    return process.env.ZEPHYR_BASE_URL;
-  }
+const buildProfile = (name, apiToken, region, baseUrl) => {
+  const selectedRegion = region?.toLowerCase() || 'us';
 
   const baseUrls = {
     us: 'https://api.zephyrscale.smartbear.com/v2',
     eu: 'https://eu.api.zephyrscale.smartbear.com/v2'
   };
 
-  return baseUrls[region] || baseUrls.us;
+  return {
+    name,
+    apiToken,
+    region: selectedRegion,
+    baseUrl: baseUrl || baseUrls[selectedRegion] || baseUrls.us
+  };
 };
 
-const getApiToken = () => {
-  const token = process.env.ZEPHYR_API_TOKEN;
-  if (!token) {
+/**
+ * Reads the connection profiles. ZEPHYR_API_TOKEN, ZEPHYR_REGION and ZEPHYR_BASE_URL
+ * define the "default" profile. ZEPHYR_PROFILES lists extra profiles (e.g. "us,eu"),
+ * each configured with ZEPHYR_<NAME>_API_TOKEN, ZEPHYR_<NAME>_REGION and ZEPHYR_<NAME>_BASE_URL.
+ */
+const getProfiles = () => {
+  const profiles = {};
+
+  if (process.env.ZEPHYR_API_TOKEN) {
+    profiles.default = buildProfile(
+      'default',
+      process.env.ZEPHYR_API_TOKEN,
+      process.env.ZEPHYR_REGION,
+      process.env.ZEPHYR_BASE_URL
+    );
+  }
+
+  const names = (process.env.ZEPHYR_PROFILES || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  names.forEach(name => {
+    const prefix = `ZEPHYR_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const apiToken = process.env[`${prefix}API_TOKEN`];
+    if (!apiToken) {
+      throw new Error(`${prefix}API_TOKEN environment variable is required for profile "${name}"`);
+    }
+    profiles[name] = buildProfile(
+      name,
+      apiToken,
+      process.env[`${prefix}REGION`],
+      process.env[`${prefix}BASE_URL`]
+    );
+  });
+
+  if (Object.keys(profiles).length === 0) {
     throw new Error('ZEPHYR_API_TOKEN environment variable is required');
   }
-  return token;
+
+  return profiles;
 };
 
+const profiles = getProfiles();
+
+const getDefaultProfile = () => {
+  const name = process.env.ZEPHYR_DEFAULT_PROFILE?.toLowerCase()
+    || (profiles.default ? 'default' : Object.keys(profiles)[0]);
+
+  if (!profiles[name]) {
+    throw new Error(`ZEPHYR_DEFAULT_PROFILE "${name}" is not a configured profile`);
+  }
+  return name;
+};
+
+const parseProjectList = (value) => (value || '')
+  .split(',')
+  .map(key => key.trim().toUpperCase())
+  .filter(Boolean);
+
 export const config = {
-  baseUrl: getBaseUrl(),
-  apiToken: getApiToken(),
-  region: process.env.ZEPHYR_REGION?.toLowerCase() || 'us',
+  // Connection profiles (token, region, base URL) keyed by name
+  profiles,
+  defaultProfile: getDefaultProfile(),
+
+  // MCP transport: stdio (default) or http (SSE), overridable with --transport, --host and --port
+  transport: process.env.MCP_TRANSPORT?.toLowerCase() || 'stdio',
+  httpHost: process.env.MCP_HTTP_HOST || '127.0.0.1',
+  httpPort: parseInt(process.env.MCP_HTTP_PORT || '3000'),
+
+  // Safety modes: read-only hides and refuses every mutating tool, the project
+  // allowlist/denylist (comma-separated project keys) restricts which projects tools may touch
+  readOnly: ['1', 'true', 'yes'].includes(process.env.ZEPHYR_READ_ONLY?.toLowerCase()),
+  projectAllowlist: parseProjectList(process.env.ZEPHYR_PROJECT_ALLOWLIST),
+  projectDenylist: parseProjectList(process.env.ZEPHYR_PROJECT_DENYLIST),
+
+  // Dry-run mode: mutating tools return the requests they would send instead of sending them
+  dryRun: ['1', 'true', 'yes'].includes(process.env.ZEPHYR_DRY_RUN?.toLowerCase()),
 
   // API request settings
   timeout: 30000, // 30 seconds
   maxRetries: 3,
-  retryDelay: 1000, // 1 second
+  retryDelay: 1000, // 1 second, doubled on each retry
+  maxRetryDelay: 30000, // 30 seconds, also caps Retry-After
 
   // Pagination defaults
   defaultMaxResults: 50,
   maxMaxResults: 1000,
 
+  // Append-only JSONL log of every write request
+  auditLogFile: process.env.ZEPHYR_AUDIT_LOG_FILE || path.join(os.homedir(), '.mcp-zephyr', 'audit.jsonl'),
+
+  // Test case snapshots taken before every change, used by restore_test_case
+  snapshotDir: process.env.ZEPHYR_SNAPSHOT_DIR || path.join(os.homedir(), '.mcp-zephyr', 'snapshots'),
+
+  // Custom field definitions (JSON file keyed by project key and entity type)
+  customFieldsFile: process.env.ZEPHYR_CUSTOM_FIELDS_FILE,
+
   // Validation
   projectKeyPattern: /^[A-Z][A-Z_0-9]+$/,
-  testCaseKeyPattern: /.+-T[0-9]+/,
-  testCycleKeyPattern: /([0-9]+)|(.+-R[0-9]+)/,
+  testCaseKeyPattern: /^[A-Z][A-Z_0-9]+-T[0-9]+$/,
+  testCycleKeyPattern: /^(?:[0-9]+|[A-Z][A-Z_0-9]+-R[0-9]+)$/,
+  testExecutionKeyPattern: /^(?:[0-9]+|[A-Z][A-Z_0-9]+-E[0-9]+)$/,
+  testPlanKeyPattern: /^(?:[0-9]+|[A-Z][A-Z_0-9]+-P[0-9]+)$/,
+  issueKeyPattern: /.+-[0-9]+/,
   folderIdPattern: /^\d+$/,
   priorityIdPattern: /^\d+$/,
   statusIdPattern: /^\d+$/
@@ -0,0 +1,110 @@
+/**
+ * HTTP (SSE) transport for the MCP Zephyr Server
+ *
+ * Lets several MCP clients share one server instance:
+ * - GET  /sse[?profile=...]       opens an SSE stream (one MCP session per stream)
+ * - POST /messages?sessionId=...  receives client messages for a session
+ * - GET  /health                  reports server status
+ */
+
+import http from 'node:http';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { getProfile } from './profiles.js';
+
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+const HEALTH_PATH = '/health';
+
+/**
+ * Starts the HTTP server. `createServer(profile)` must return a new MCP Server for each
+ * session, using the profile given in the query string (undefined when not set).
+ * Resolves with a handle whose close() shuts the server down gracefully.
+ */
+export async function startHttpServer({ createServer, host, port }) {
+  const sessions = new Map();
+  const startedAt = Date.now();
+
+  const openSession = async (res, profile) => {
+    const transport = new SSEServerTransport(MESSAGES_PATH, res);
+    const server = createServer(profile);
+
+    sessions.set(transport.sessionId, transport);
+    res.on('close', () => {
+      sessions.delete(transport.sessionId);
+      console.error(`[MCP Server] Session ${transport.sessionId} closed (${sessions.size} active)`);
+    });
+
+    await server.connect(transport);
+    console.error(`[MCP Server] Session ${transport.sessionId} opened${profile ? ` with profile ${profile}` : ''} (${sessions.size} active)`);
+  };
+
+  const handleRequest = async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'GET' && url.pathname === HEALTH_PATH) {
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({
+        status: 'ok',
+        sessions: sessions.size,
+        uptimeSeconds: Math.round((Date.now() - startedAt) / 1000)
+      }));
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === SSE_PATH) {
+      const profile = url.searchParams.get('profile') || undefined;
+      if (profile) {
+        try {
+          getProfile(profile);
+        } catch (error) {
+          res.writeHead(400).end(error.message);
+          return;
+        }
+      }
+
+      await openSession(res, profile);
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === MESSAGES_PATH) {
+      const transport = sessions.get(url.searchParams.get('sessionId'));
+      if (!transport) {
+        res.writeHead(404).end('Unknown or expired sessionId');
+        return;
+      }
+
+      await transport.handlePostMessage(req, res);
+      return;
+    }
+
+    res.writeHead(404).end('Not found');
+  };
+
+  const httpServer = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      console.error('[MCP Server] HTTP request failed:', error);
+      if (!res.headersSent) {
+        res.writeHead(500).end('Internal server error');
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  console.error(`[MCP Server] Listening on http://${host}:${port} (SSE: ${SSE_PATH}, health: ${HEALTH_PATH})`);
+
+  return {
+    async close() {
+      // SSE streams never end on their own, close them before stopping the server
+      await Promise.all([...sessions.values()].map(transport => transport.close()));
+      sessions.clear();
+
+      await new Promise((resolve) => {
+        httpServer.close(() => resolve());
+        httpServer.closeAllConnections();
+      });
+    }
+  };
+}
@@ -6,12 +6,25 @@
  * This server provides tools for managing:
  * - Projects (list, get details)
  * - Folders (list, get, create)
- * - Test Cases (list, get, create, update)
- * - Test Steps (get, append - no individual update/delete)
+ * - Test Cases (list, get, create, update, snapshots and restore)
+ * - Test Case Versions (list, get, diff)
+ * - Test Case Search (filter, sort and page through all test cases of a project)
+ * - Import (bulk test case creation from CSV or JSON files, Gherkin feature files)
+ * - Export (test cases to local .feature and Markdown files, and sync of local edits back)
+ * - Bulk Updates (move, relabel, re-status test cases selected by keys or filters)
+ * - Test Steps (get, append, edit by reading and rewriting the whole list)
  * - Test Scripts (get, create/update - mutually exclusive with steps)
+ * - Test Cycles (list, get, create, update)
+ * - Test Executions (get, create, update, update step results)
+ * - Test Plans (list, get, create, link test cycles, issues and web links)
+ * - Links (test case issue/web links, Jira issue coverage lookup)
+ * - Automations (JUnit, Cucumber and custom result upload, feature file download)
  * - Reference Data (statuses, priorities)
+ * - Profiles (named credentials, selectable per tool call or HTTP session)
+ * - Audit Log (query the local log of every write request)
  */
 
+import { parseArgs } from 'node:util';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
@@ -19,32 +32,81 @@ import {
   ListToolsRequestSchema
 } from '@modelcontextprotocol/sdk/types.js';
 
+import { config } from './config.js';
+import { startHttpServer } from './http-server.js';
+import { runWithProfile } from './profiles.js';
+import { runWithAuditContext } from './utils/audit-log.js';
+import { runWithProgress } from './utils/progress.js';
+import { isToolEnabled, assertToolAllowed } from './utils/access-control.js';
+
 import projectTools from './tools/project-tools.js';
 import folderTools from './tools/folder-tools.js';
 import testCaseTools from './tools/test-case-tools.js';
+import testCaseVersionTools from './tools/test-case-version-tools.js';
+import testCaseSearchTools from './tools/test-case-search-tools.js';
+import importTools from './tools/import-tools.js';
+import exportTools from './tools/export-tools.js';
+import bulkTools from './tools/bulk-tools.js';
 import testStepsTools from './tools/test-steps-tools.js';
 import testScriptTools from './tools/test-script-tools.js';
+import testCycleTools from './tools/test-cycle-tools.js';
+import testExecutionTools from './tools/test-execution-tools.js';
+import testPlanTools from './tools/test-plan-tools.js';
+import linkTools from './tools/link-tools.js';
+import automationTools from './tools/automation-tools.js';
 import referenceDataTools from './tools/reference-data-tools.js';
+import profileTools from './tools/profile-tools.js';
+import auditTools from './tools/audit-tools.js';
 
 // Combine all tools
 const allTools = [
   ...projectTools,
   ...folderTools,
   ...testCaseTools,
+  ...testCaseVersionTools,
+  ...testCaseSearchTools,
+  ...importTools,
+  ...exportTools,
+  ...bulkTools,
   ...testStepsTools,
   ...testScriptTools,
-  ...referenceDataTools
+  ...testCycleTools,
+  ...testExecutionTools,
+  ...testPlanTools,
+  ...linkTools,
+  ...automationTools,
+  ...referenceDataTools,
+  ...profileTools,
+  ...auditTools
 ];
 
-// Convert tools to MCP format
-const mcpTools = allTools.map(tool => ({
+// Every tool accepts an optional profile to choose the credentials it runs with
+const profileProperty = {
+  type: 'string',
+  description: `Connection profile to use (default: the session profile, or "${config.defaultProfile}")`,
+  enum: Object.keys(config.profiles)
+};
+
+// Convert tools to MCP format, hiding the tools disabled by read-only mode
+const mcpTools = allTools.filter(tool => isToolEnabled(tool)).map(tool => ({
   name: tool.name,
   description: tool.description,
-  inputSchema: tool.inputSchema
+  inputSchema: {
+    ...tool.inputSchema,
+    properties: {
+      ...tool.inputSchema.properties,
+      profile: profileProperty
+    }
+  }
 }));
 
 class ZephyrMCPServer {
-  constructor() {
+  /**
+   * `profile` is the default connection profile of the tool calls of this server
+   */
+  constructor(options = {}) {
+    this.profile = options.profile || config.defaultProfile;
+
     this.server = new Server(
       {
         name: 'mcp-zephyr',
@@ -72,7 +134,7 @@ class ZephyrMCPServer {
 
     // Handle tool calls
     this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+      const { name, arguments: { profile, ...args } = {} } = request.params;
 
       console.error(`[MCP Server] Tool call: ${name}`, args);
 
@@ -83,8 +145,21 @@ class ZephyrMCPServer {
           throw new Error(`Unknown tool: ${name}`);
         }
 
-        // Execute the tool
-        const result = await tool.handler(args);
+        // Clients sending a progress token get progress notifications from long-running tools
+        const progressToken = request.params._meta?.progressToken;
+        const notifyProgress = progressToken !== undefined
+          ? (progress) => this.server.notification({
+            method: 'notifications/progress',
+            params: { progressToken, ...progress }
+          })
+          : null;
+
+        // Execute the tool with the requested profile
+        const result = await runWithProfile(profile || this.profile, async () => {
+          // Refuse calls blocked by read-only mode or the project allowlist/denylist
+          await assertToolAllowed(tool, args);
+          return runWithAuditContext(name, () => runWithProgress(notifyProgress, () => tool.handler(args)));
+        });
 
         console.error(`[MCP Server] Tool ${name} completed successfully`);
         return result;
@@ -105,33 +180,79 @@ class ZephyrMCPServer {
     });
   }
 
-  async run() {
-    const transport = new StdioServerTransport();
+  async run(options = {}) {
+    const {
+      transport = config.transport,
+      host = config.httpHost,
+      port = config.httpPort
+    } = options;
+
     console.error('[MCP Server] Starting Zephyr MCP Server...');
     console.error('[MCP Server] Available tools:', allTools.map(t => t.name).join(', '));
 
     try {
-      await this.server.connect(transport);
-      console.error('[MCP Server] Server connected and ready');
+      if (transport === 'http') {
+        // Every HTTP session gets its own MCP server, sharing the tools
+        this.httpServer = await startHttpServer({
+          createServer: (profile) => new ZephyrMCPServer({ profile }).server,
+          host,
+          port
+        });
+      } else if (transport === 'stdio') {
+        await this.server.connect(new StdioServerTransport());
+      } else {
+        throw new Error(`Unknown transport: ${transport}. Must be one of: stdio, http`);
+      }
+      console.error(`[MCP Server] Server connected and ready (${transport})`);
     } catch (error) {
       console.error('[MCP Server] Failed to start server:', error);
       process.exit(1);
     }
   }
+
+  async close() {
+    if (this.httpServer) {
+      await this.httpServer.close();
+    }
+    await this.server.close();
+  }
+}
+
+/**
+ * Reads --transport, --host and --port from the command line
+ */
+function parseCliOptions() {
+  const { values } = parseArgs({
+    options: {
+      transport: { type: 'string' },
+      host: { type: 'string' },
+      port: { type: 'string' }
+    },
+    strict: false
+  });
+
+  return {
+    transport: values.transport?.toLowerCase(),
+    host: values.host,
+    port: values.port !== undefined ? parseInt(values.port) : undefined
+  };
 }
 
 // Handle process signals gracefully
 const server = new ZephyrMCPServer();
 
-process.on('SIGINT', async () => {
-  console.error('[MCP Server] Received SIGINT, shutting down gracefully...');
+const shutdown = async (signal) => {
+  console.error(`[MCP Server] Received ${signal}, shutting down gracefully...`);
+  try {
+    await server.close();
+  } catch (error) {
+    console.error('[MCP Server] Error during shutdown:', error);
+  }
   process.exit(0);
-});
+};
 
-process.on('SIGTERM', async () => {
-  console.error('[MCP Server] Received SIGTERM, shutting down gracefully...');
-  process.exit(0);
-});
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
@@ -146,7 +267,12 @@ process.on('unhandledRejection', (reason, promise) => {
 
 // Start the server
 if (import.meta.url === `file://${process.argv[1]}`) {
-  server.run().catch((error) => {
+  const cliOptions = Object.fromEntries(
+    // eslint-disable-next-line no-unused-vars
+    Object.entries(parseCliOptions()).filter(([_, value]) => value !== undefined)
+  );
+
+  server.run(cliOptions).catch((error) => {
     console.error('[MCP Server] Failed to start server:', error);
     process.exit(1);
   });
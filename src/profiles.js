@@ -0,0 +1,37 @@
+/**
+ * Profile selection for MCP Zephyr Server
+ *
+ * The profile of the tool call being executed is kept in an AsyncLocalStorage,
+ * so the shared ZephyrClient uses the right credentials without every tool
+ * having to pass the profile around.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { config } from './config.js';
+
+const profileStorage = new AsyncLocalStorage();
+
+/**
+ * Gets a configured profile by name
+ */
+export function getProfile(name) {
+  const profile = config.profiles[name.toLowerCase()];
+  if (!profile) {
+    throw new Error(`Unknown profile "${name}". Available profiles: ${Object.keys(config.profiles).join(', ')}`);
+  }
+  return profile;
+}
+
+/**
+ * Runs fn with the given profile (default profile when not set) as the current profile
+ */
+export function runWithProfile(name, fn) {
+  return profileStorage.run(getProfile(name || config.defaultProfile), fn);
+}
+
+/**
+ * Gets the profile of the tool call being executed
+ */
+export function getCurrentProfile() {
+  return profileStorage.getStore() || getProfile(config.defaultProfile);
+}
@@ -0,0 +1,117 @@
+/**
+ * MCP Tools for the local audit log of write requests
+ */
+
+import { config } from '../config.js';
+import { formatError } from '../utils/error-handler.js';
+import { readAuditLog } from '../utils/audit-log.js';
+
+/**
+ * Parses an optional ISO 8601 date-time argument into a timestamp
+ */
+function parseTime(value, name) {
+  if (!value) {
+    return null;
+  }
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name}. Must be an ISO 8601 date-time (e.g. 2024-05-01T10:00:00Z)`);
+  }
+  return time;
+}
+
+/**
+ * Queries the audit log by time range, tool, entity key or project, newest entries first
+ */
+async function getAuditLog(args) {
+  try {
+    const { toolName, entityKey, projectKey } = args;
+    const from = parseTime(args.from, 'from');
+    const to = parseTime(args.to, 'to');
+    const maxResults = args.maxResults || config.defaultMaxResults;
+
+    if (projectKey && !config.projectKeyPattern.test(projectKey)) {
+      throw new Error('Invalid projectKey format. Must match pattern: [A-Z][A-Z_0-9]+');
+    }
+
+    const entries = (await readAuditLog()).filter(entry => {
+      const time = Date.parse(entry.timestamp);
+      const entryProjectKey = entry.payload?.projectKey || entry.entityKey?.replace(/-[A-Z]?[0-9]+$/, '');
+
+      return (from === null || time >= from)
+        && (to === null || time <= to)
+        && (!toolName || entry.toolName === toolName)
+        && (!entityKey || entry.entityKey === entityKey)
+        && (!projectKey || entryProjectKey === projectKey);
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            entries: entries.reverse().slice(0, maxResults),
+            total: entries.length,
+            logFile: config.auditLogFile
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, 'reading the audit log')
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+export const auditTools = [
+  {
+    name: 'get_audit_log',
+    readOnly: true,
+    description: 'Query the local audit log of write requests sent to Zephyr (newest first)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: {
+          type: 'string',
+          description: 'Only entries at or after this ISO 8601 date-time',
+          format: 'date-time'
+        },
+        to: {
+          type: 'string',
+          description: 'Only entries at or before this ISO 8601 date-time',
+          format: 'date-time'
+        },
+        toolName: {
+          type: 'string',
+          description: 'Only entries written by this tool (e.g. update_test_case)'
+        },
+        entityKey: {
+          type: 'string',
+          description: 'Only entries for this entity key (e.g. PROJ-T12)'
+        },
+        projectKey: {
+          type: 'string',
+          description: 'Only entries for this project',
+          pattern: config.projectKeyPattern.source
+        },
+        maxResults: {
+          type: 'number',
+          description: 'Maximum number of entries to return (default: 50)',
+          minimum: 1,
+          default: config.defaultMaxResults
+        }
+      }
+    },
+    handler: getAuditLog
+  }
+];
+
+export default auditTools;
@@ -0,0 +1,311 @@
+/**
+ * MCP Tools for Zephyr Automation (result upload and feature file download)
+ */
+
+import { readFile, mkdir } from 'fs/promises';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { zephyrClient as client } from '../zephyr-client.js';
+import { config } from '../config.js';
+import { formatError } from '../utils/error-handler.js';
+
+// File name used inside the zip when results are given as inline content
+const inlineFileNames = {
+  junit: 'junit-results.xml',
+  cucumber: 'cucumber-results.json',
+  custom: 'custom-results.json'
+};
+
+/**
+ * Checks whether a buffer holds a zip archive (local file header signature)
+ */
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+/**
+ * Builds the zip archive to upload from a local file path or inline content
+ */
+async function buildResultsArchive(format, filePath, content) {
+  if (!filePath && !content) {
+    throw new Error('Either filePath or content must be provided');
+  }
+
+  if (filePath && content) {
+    throw new Error('filePath and content are mutually exclusive');
+  }
+
+  const fileName = filePath ? path.basename(filePath) : inlineFileNames[format];
+  const fileContent = filePath ? await readFile(filePath) : Buffer.from(content, 'utf8');
+
+  // Already zipped results are uploaded as they are
+  if (isZip(fileContent)) {
+    return { fileName, archive: fileContent };
+  }
+
+  const zip = new AdmZip();
+  zip.addFile(fileName, fileContent);
+
+  return {
+    fileName: `${path.parse(fileName).name}.zip`,
+    archive: zip.toBuffer()
+  };
+}
+
+/**
+ * Uploads automation results in the given format and returns the created test cycle
+ */
+async function uploadResults(format, args) {
+  const { projectKey, filePath, content, autoCreateTestCases, testCycle } = args;
+
+  if (!projectKey) {
+    throw new Error('projectKey is required');
+  }
+
+  if (!config.projectKeyPattern.test(projectKey)) {
+    throw new Error('Invalid projectKey format. Must match pattern: [A-Z][A-Z_0-9]+');
+  }
+
+  const { fileName, archive } = await buildResultsArchive(format, filePath, content);
+
+  const formData = new FormData();
+  formData.append('file', new Blob([archive], { type: 'application/zip' }), fileName);
+
+  // The test cycle part is ignored unless it is sent as JSON
+  if (testCycle) {
+    formData.append('testCycle', new Blob([JSON.stringify(testCycle)], { type: 'application/json' }));
+  }
+
+  const result = await client.createAutomationExecutions(format, formData, {
+    projectKey,
+    autoCreateTestCases: autoCreateTestCases || false
+  });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          message: 'Automation results uploaded successfully',
+          format,
+          testCycleKey: result.testCycle?.key,
+          testCycle: result.testCycle,
+          uploadedFile: fileName,
+          archiveSize: archive.length
+        }, null, 2)
+      }
+    ]
+  };
+}
+
+/**
+ * Uploads JUnit XML results
+ */
+async function uploadJunitResults(args) {
+  try {
+    return await uploadResults('junit', args);
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, 'uploading JUnit results')
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Uploads Cucumber JSON results
+ */
+async function uploadCucumberResults(args) {
+  try {
+    return await uploadResults('cucumber', args);
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, 'uploading Cucumber results')
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Uploads results in Zephyr's custom JSON format
+ */
+async function uploadCustomResults(args) {
+  try {
+    return await uploadResults('custom', args);
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, 'uploading custom results')
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Downloads the BDD feature files of a project into a local directory
+ */
+async function downloadFeatureFiles(args) {
+  try {
+    const { projectKey, targetDirectory } = args;
+
+    if (!projectKey) {
+      throw new Error('projectKey is required');
+    }
+
+    if (!config.projectKeyPattern.test(projectKey)) {
+      throw new Error('Invalid projectKey format. Must match pattern: [A-Z][A-Z_0-9]+');
+    }
+
+    if (!targetDirectory) {
+      throw new Error('targetDirectory is required');
+    }
+
+    const data = await client.getAutomationTestCases({ projectKey });
+    const zip = new AdmZip(Buffer.from(data));
+    const outputDirectory = path.resolve(targetDirectory);
+
+    await mkdir(outputDirectory, { recursive: true });
+    zip.extractAllTo(outputDirectory, true);
+
+    const files = zip.getEntries()
+      .filter(entry => !entry.isDirectory)
+      .map(entry => path.join(outputDirectory, entry.entryName));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            message: `Downloaded ${files.length} feature files for ${projectKey}`,
+            targetDirectory: outputDirectory,
+            files
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `downloading feature files for ${args.projectKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+// Input schema shared by the result upload tools
+function resultsUploadSchema(formatDescription) {
+  return {
+    type: 'object',
+    properties: {
+      projectKey: {
+        type: 'string',
+        description: 'Jira project key the results belong to',
+        pattern: config.projectKeyPattern.source
+      },
+      filePath: {
+        type: 'string',
+        description: `Local path to the ${formatDescription} file or a zip of result files`
+      },
+      content: {
+        type: 'string',
+        description: `Inline ${formatDescription} content (alternative to filePath)`
+      },
+      autoCreateTestCases: {
+        type: 'boolean',
+        description: 'Create test cases that do not exist yet (default: false)',
+        default: false
+      },
+      testCycle: {
+        type: 'object',
+        description: 'Optional details of the test cycle created for the results',
+        properties: {
+          name: {
+            type: 'string',
+            description: 'Test cycle name'
+          },
+          description: {
+            type: 'string',
+            description: 'Test cycle description'
+          },
+          jiraProjectVersion: {
+            type: 'integer',
+            description: 'Jira project version (release) ID',
+            minimum: 1
+          },
+          folderId: {
+            type: 'integer',
+            description: 'Folder ID for the test cycle',
+            minimum: 1
+          },
+          customFields: {
+            type: 'object',
+            description: 'Test cycle custom field values'
+          }
+        }
+      }
+    },
+    required: ['projectKey']
+  };
+}
+
+export const automationTools = [
+  {
+    name: 'upload_junit_results',
+    description: 'Upload JUnit XML results, creating a test cycle with the executions (max 10MB)',
+    inputSchema: resultsUploadSchema('JUnit XML'),
+    handler: uploadJunitResults
+  },
+  {
+    name: 'upload_cucumber_results',
+    description: 'Upload Cucumber JSON results, creating a test cycle with the executions (max 2MB)',
+    inputSchema: resultsUploadSchema('Cucumber JSON'),
+    handler: uploadCucumberResults
+  },
+  {
+    name: 'upload_custom_results',
+    description: 'Upload results in Zephyr custom JSON format, creating a test cycle with the executions (max 10MB)',
+    inputSchema: resultsUploadSchema('Zephyr custom format JSON'),
+    handler: uploadCustomResults
+  },
+  {
+    name: 'download_feature_files',
+    readOnly: true,
+    description: 'Download the BDD test cases of a project as feature files into a local directory',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectKey: {
+          type: 'string',
+          description: 'Jira project key to download feature files for',
+          pattern: config.projectKeyPattern.source
+        },
+        targetDirectory: {
+          type: 'string',
+          description: 'Local directory to extract the feature files into (created if missing)'
+        }
+      },
+      required: ['projectKey', 'targetDirectory']
+    },
+    handler: downloadFeatureFiles
+  }
+];
+
+export default automationTools;
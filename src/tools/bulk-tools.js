@@ -0,0 +1,361 @@
+/**
+ * MCP Tools for bulk changes over a filtered set of test cases
+ */
+
+import { zephyrClient as client } from '../zephyr-client.js';
+import { config } from '../config.js';
+import { formatError } from '../utils/error-handler.js';
+import { getProjectStatuses, getProjectPriorities, findOptionByName } from '../utils/reference-data.js';
+import { validateCustomFields } from '../utils/custom-fields.js';
+import { fetchAllFolders, getSubfolderIds, resolveFolderArgument, folderPathProperties } from '../utils/folders.js';
+import { buildTestCaseUpdate } from '../utils/test-case-update.js';
+import { captureSnapshot } from '../utils/snapshots.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { reportProgress } from '../utils/progress.js';
+import { isDryRun, dryRunProperty } from '../utils/dry-run.js';
+
+const DEFAULT_CONCURRENCY = 5;
+const MAX_CONCURRENCY = 10;
+
+const CHANGE_FIELDS = ['folderId', 'folderPath', 'addLabels', 'removeLabels', 'statusName', 'priorityName', 'ownerId', 'customFields'];
+
+const projectKeyOf = (testCaseKey) => testCaseKey.replace(/-T[0-9]+$/, '');
+
+/**
+ * Caches the statuses and priorities of every project involved, fetched once each
+ */
+function createProjectOptions() {
+  const cache = new Map();
+  return (projectKey) => {
+    if (!cache.has(projectKey)) {
+      cache.set(projectKey, Promise.all([
+        getProjectStatuses(client, projectKey, 'TEST_CASE'),
+        getProjectPriorities(client, projectKey)
+      ]).then(([statuses, priorities]) => ({ statuses, priorities })));
+    }
+    return cache.get(projectKey);
+  };
+}
+
+/**
+ * Selects the test cases to change: the given keys, or the test cases of a project
+ * (optionally of a folder and its subfolders), then filtered by label and status.
+ * Keys that cannot be read are returned as failed result rows.
+ */
+async function selectTestCases(args, getOptions) {
+  const { testCaseKeys, projectKey, folderId, folderPath, recursive, label, statusName } = args;
+  const failures = [];
+  let testCases;
+
+  if (testCaseKeys) {
+    const fetched = await mapWithConcurrency(testCaseKeys, DEFAULT_CONCURRENCY, async key => {
+      try {
+        return await client.getTestCase(key);
+      } catch (error) {
+        failures.push({ key, status: 'failed', error: error.responseData?.message || error.message });
+        return null;
+      }
+    });
+    testCases = fetched.filter(Boolean);
+  } else {
+    const { folderId: selectedFolderId } = await resolveFolderArgument(projectKey, 'TEST_CASE', { folderId, folderPath });
+    const folderIds = selectedFolderId && recursive
+      ? getSubfolderIds(await fetchAllFolders(projectKey, 'TEST_CASE'), selectedFolderId)
+      : new Set([selectedFolderId]);
+
+    testCases = (await client.getAllCursorPaginated(
+      (params) => client.getTestCasesNextgen({ ...params, projectKey, ...(selectedFolderId && !recursive && { folderId: selectedFolderId }) })
+    )).filter(testCase => !selectedFolderId || folderIds.has(testCase.folder?.id));
+  }
+
+  if (label) {
+    testCases = testCases.filter(testCase => (testCase.labels || []).includes(label));
+  }
+
+  if (statusName) {
+    const matches = await Promise.all(testCases.map(async testCase => {
+      const { statuses } = await getOptions(projectKeyOf(testCase.key));
+      const status = statuses.find(option => option.id === testCase.status?.id);
+      return status?.name.toLowerCase() === statusName.trim().toLowerCase();
+    }));
+    testCases = testCases.filter((testCase, index) => matches[index]);
+  }
+
+  return { testCases, failures };
+}
+
+/**
+ * Lists the changed values of a test case, with status and priority names
+ */
+function describeChanges(current, payload, options) {
+  const nameOf = (list, id) => list.find(option => option.id === id)?.name ?? id ?? null;
+  const fields = [
+    ['folder', current.folder?.id ?? null, payload.folder?.id ?? null],
+    ['labels', current.labels || [], payload.labels],
+    ['status', nameOf(options.statuses, current.status?.id), nameOf(options.statuses, payload.status.id)],
+    ['priority', nameOf(options.priorities, current.priority?.id), nameOf(options.priorities, payload.priority.id)],
+    ['owner', current.owner?.accountId ?? null, payload.owner?.accountId ?? null],
+    ...Object.keys(payload.customFields).map(name => [
+      `customFields.${name}`, current.customFields?.[name] ?? null, payload.customFields[name] ?? null
+    ])
+  ];
+
+  return fields
+    .filter(([, before, after]) => JSON.stringify(before) !== JSON.stringify(after))
+    .map(([field, before, after]) => ({ field, before, after }));
+}
+
+/**
+ * Applies the change-set to one test case and returns its result row
+ */
+async function updateOne(testCase, context) {
+  const { changes, folderId, getOptions, dryRun } = context;
+  const projectKey = projectKeyOf(testCase.key);
+
+  try {
+    const options = await getOptions(projectKey);
+    const update = {};
+
+    // Dry runs cannot name folders that would be created
+    if (folderId !== undefined && folderId !== null) update.folderId = folderId;
+    if (changes.statusName) update.statusId = findOptionByName(options.statuses, changes.statusName, 'status').id;
+    if (changes.priorityName) update.priorityId = findOptionByName(options.priorities, changes.priorityName, 'priority').id;
+    if (changes.ownerId !== undefined) update.ownerId = changes.ownerId;
+
+    if (changes.addLabels || changes.removeLabels) {
+      const removed = new Set(changes.removeLabels || []);
+      update.labels = [...new Set([
+        ...(testCase.labels || []).filter(item => !removed.has(item)),
+        ...(changes.addLabels || [])
+      ])];
+    }
+
+    if (changes.customFields) {
+      update.customFields = validateCustomFields(projectKey, 'TEST_CASE', changes.customFields, {
+        existing: testCase.customFields || {}
+      });
+    }
+
+    const payload = buildTestCaseUpdate(testCase, update);
+    const fieldChanges = describeChanges(testCase, payload, options);
+
+    if (fieldChanges.length === 0) {
+      return { key: testCase.key, name: testCase.name, status: 'unchanged' };
+    }
+
+    if (dryRun) {
+      return { key: testCase.key, name: testCase.name, status: 'wouldUpdate', changes: fieldChanges };
+    }
+
+    const snapshot = await captureSnapshot(testCase.key, { testCase });
+    await client.updateTestCase(testCase.key, payload);
+
+    return { key: testCase.key, name: testCase.name, status: 'updated', changes: fieldChanges, snapshotId: snapshot.id };
+  } catch (error) {
+    return { key: testCase.key, name: testCase.name, status: 'failed', error: error.responseData?.message || error.message };
+  }
+}
+
+/**
+ * Applies one change-set to every selected test case
+ */
+async function bulkUpdateTestCases(args) {
+  try {
+    const { testCaseKeys, projectKey, changes = {} } = args;
+    const concurrency = args.concurrency || DEFAULT_CONCURRENCY;
+    const dryRun = isDryRun(args);
+
+    if (!testCaseKeys && !projectKey) {
+      throw new Error('Either testCaseKeys or projectKey must be provided');
+    }
+
+    if (testCaseKeys && projectKey) {
+      throw new Error('testCaseKeys and projectKey are mutually exclusive');
+    }
+
+    if (testCaseKeys && (args.folderId !== undefined || args.folderPath !== undefined)) {
+      throw new Error('folderId and folderPath select the test cases of a projectKey, they cannot be combined with testCaseKeys');
+    }
+
+    if (projectKey && !config.projectKeyPattern.test(projectKey)) {
+      throw new Error('Invalid projectKey format. Must match pattern: [A-Z][A-Z_0-9]+');
+    }
+
+    const invalidKeys = (testCaseKeys || []).filter(key => !config.testCaseKeyPattern.test(key));
+    if (invalidKeys.length > 0) {
+      throw new Error(`Invalid testCaseKeys: ${invalidKeys.join(', ')}. Must match pattern: [A-Z]+-T[0-9]+`);
+    }
+
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+      throw new Error(`concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`);
+    }
+
+    if (!CHANGE_FIELDS.some(field => changes[field] !== undefined)) {
+      throw new Error(`changes must set at least one of: ${CHANGE_FIELDS.join(', ')}`);
+    }
+
+    const getOptions = createProjectOptions();
+    const { testCases, failures } = await selectTestCases(args, getOptions);
+
+    // Folders belong to a project, so moves are limited to test cases of one project
+    let folderId;
+    let createdFolders = [];
+    let folderRequests = [];
+    if (changes.folderId !== undefined || changes.folderPath !== undefined) {
+      const projectKeys = [...new Set(testCases.map(testCase => projectKeyOf(testCase.key)))];
+      if (projectKeys.length > 1) {
+        throw new Error(`Moving to a folder requires test cases of a single project, found: ${projectKeys.join(', ')}`);
+      }
+      const targetProjectKey = projectKeys[0] || projectKey;
+      ({ folderId, createdFolders, requests: folderRequests } = await resolveFolderArgument(targetProjectKey, 'TEST_CASE', {
+        folderId: changes.folderId,
+        folderPath: changes.folderPath,
+        createMissingFolders: changes.createMissingFolders
+      }, { dryRun }));
+    }
+
+    const context = { changes, folderId, getOptions, dryRun };
+    let done = 0;
+    reportProgress(0, testCases.length);
+    const results = [...failures, ...await mapWithConcurrency(testCases, concurrency, async testCase => {
+      const result = await updateOne(testCase, context);
+      reportProgress(++done, testCases.length);
+      return result;
+    })];
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    const summary = dryRun
+      ? {
+        dryRun: true,
+        message: `Dry run: nothing was changed. ${count('wouldUpdate')} of ${results.length} test cases would change`,
+        ...(folderRequests.length > 0 && { folderRequests })
+      }
+      : { message: `Updated ${count('updated')} of ${results.length} test cases`, updated: count('updated') };
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            ...summary,
+            total: results.length,
+            unchanged: count('unchanged'),
+            failed: count('failed'),
+            ...(createdFolders.length > 0 && { createdFolders }),
+            results
+          }, null, 2)
+        }
+      ],
+      ...(count('failed') > 0 && count('failed') === results.length && { isError: true })
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, 'updating test cases in bulk')
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+export const bulkTools = [
+  {
+    name: 'bulk_update_test_cases',
+    description: 'Apply one change-set (move folder, add or remove labels, set status, priority, owner or custom fields) to test cases selected by keys, or by project, folder, label and status. Returns a result per test case',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testCaseKeys: {
+          type: 'array',
+          description: 'Test cases to change (alternative to projectKey)',
+          items: {
+            type: 'string',
+            pattern: config.testCaseKeyPattern.source
+          },
+          minItems: 1
+        },
+        projectKey: {
+          type: 'string',
+          description: 'Change the test cases of this project (alternative to testCaseKeys)',
+          pattern: config.projectKeyPattern.source
+        },
+        folderId: {
+          type: 'integer',
+          description: 'Only the test cases of this folder (with projectKey)',
+          minimum: 1
+        },
+        folderPath: folderPathProperties.folderPath,
+        recursive: {
+          type: 'boolean',
+          description: 'Also select the test cases of the subfolders of folderId or folderPath (default: false)',
+          default: false
+        },
+        label: {
+          type: 'string',
+          description: 'Only the test cases with this label'
+        },
+        statusName: {
+          type: 'string',
+          description: 'Only the test cases with this status (e.g., Draft)'
+        },
+        changes: {
+          type: 'object',
+          description: 'Changes applied to every selected test case',
+          properties: {
+            folderId: {
+              type: 'integer',
+              description: 'Move to this folder',
+              minimum: 1
+            },
+            folderPath: {
+              type: 'string',
+              description: 'Move to this slash-separated folder path (alternative to folderId)'
+            },
+            createMissingFolders: folderPathProperties.createMissingFolders,
+            addLabels: {
+              type: 'array',
+              description: 'Labels to add',
+              items: { type: 'string' }
+            },
+            removeLabels: {
+              type: 'array',
+              description: 'Labels to remove',
+              items: { type: 'string' }
+            },
+            statusName: {
+              type: 'string',
+              description: 'New status name'
+            },
+            priorityName: {
+              type: 'string',
+              description: 'New priority name'
+            },
+            ownerId: {
+              type: ['string', 'null'],
+              description: 'Atlassian account ID of the new owner, or null to clear it'
+            },
+            customFields: {
+              type: 'object',
+              description: 'Custom field values to set, other custom fields are kept'
+            }
+          }
+        },
+        concurrency: {
+          type: 'integer',
+          description: `Number of test cases updated in parallel (default: ${DEFAULT_CONCURRENCY}, max: ${MAX_CONCURRENCY})`,
+          minimum: 1,
+          maximum: MAX_CONCURRENCY,
+          default: DEFAULT_CONCURRENCY
+        },
+        dryRun: dryRunProperty
+      },
+      required: ['changes']
+    },
+    handler: bulkUpdateTestCases
+  }
+];
+
+export default bulkTools;
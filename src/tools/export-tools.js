@@ -0,0 +1,504 @@
+/**
+ * MCP Tools to export test cases to a local directory of spec files and sync local edits back
+ *
+ * The export writes a manifest (.zephyr-sync.json) holding the spec of every exported test
+ * case as it was in Zephyr. Sync compares each file with both that spec and the current
+ * Zephyr state, to push local edits without overwriting changes made in Zephyr meanwhile.
+ */
+
+import { mkdir, readFile, unlink, writeFile } from 'fs/promises';
+import path from 'path';
+import { zephyrClient as client } from '../zephyr-client.js';
+import { config } from '../config.js';
+import { formatError } from '../utils/error-handler.js';
+import { getCurrentProfile } from '../profiles.js';
+import { assertProjectAllowed } from '../utils/access-control.js';
+import { getProjectStatuses, getProjectPriorities, findOptionByName } from '../utils/reference-data.js';
+import { fetchAllFolders, buildFolderTree, resolveFolderArgument } from '../utils/folders.js';
+import { fetchTestCaseState } from '../utils/test-case-state.js';
+import { buildTestCaseUpdate } from '../utils/test-case-update.js';
+import { writeAllTestSteps } from '../utils/test-steps.js';
+import { captureSnapshot } from '../utils/snapshots.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { isDryRun, captureWriteRequests, dryRunProperty } from '../utils/dry-run.js';
+import {
+  SPEC_EXTENSIONS,
+  toSpec,
+  specStepToStepInput,
+  renderSpec,
+  parseSpec,
+  changedSpecFields
+} from '../utils/spec-files.js';
+
+const MANIFEST_FILE = '.zephyr-sync.json';
+const CONCURRENCY = 5;
+
+// Characters not allowed in file names on common file systems
+const UNSAFE_FILE_NAME_CHARACTERS = /[<>:"/\\|?*\x00-\x1f]/g; // eslint-disable-line no-control-regex
+
+/**
+ * Turns a folder name into a file name: unsafe characters are replaced,
+ * and names made of dots only ("." and "..") are not path segments
+ */
+const toFileName = (name) => name.replace(UNSAFE_FILE_NAME_CHARACTERS, '_').replace(/^\.+$/, dots => '_'.repeat(dots.length));
+
+/**
+ * Resolves a path relative to the export directory, throwing when it leads outside of it
+ * (the manifest can be edited locally)
+ */
+function resolveInside(directory, relativePath) {
+  const root = path.resolve(directory);
+  const resolved = path.resolve(root, relativePath);
+  if (!resolved.startsWith(`${root}${path.sep}`)) {
+    throw new Error(`${relativePath} is outside of ${directory}`);
+  }
+  return resolved;
+}
+
+/**
+ * Reads the manifest of an export directory, or null when there is none
+ */
+async function readManifest(directory) {
+  try {
+    return JSON.parse(await readFile(path.join(directory, MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Cannot read ${MANIFEST_FILE}: ${error.message}`);
+  }
+}
+
+/**
+ * Writes the manifest of an export directory
+ */
+async function writeManifest(directory, manifest) {
+  await mkdir(directory, { recursive: true });
+  await writeFile(path.join(directory, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+}
+
+/**
+ * Reads and parses a spec file, or returns null when it does not exist
+ */
+async function readSpecFile(directory, entry) {
+  let text;
+  try {
+    text = await readFile(resolveInside(directory, entry.path), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+  return parseSpec(text, entry.spec.format);
+}
+
+/**
+ * Checks whether the file of a manifest entry was edited since it was exported or synced.
+ * Files that no longer parse count as edited.
+ */
+async function hasLocalEdits(directory, entry) {
+  try {
+    const local = await readSpecFile(directory, entry);
+    return local !== null && changedSpecFields(entry.spec, local).length > 0;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Fetches the project statuses and priorities used to name them in spec files
+ */
+async function getSpecOptions(projectKey) {
+  const [statuses, priorities] = await Promise.all([
+    getProjectStatuses(client, projectKey, 'TEST_CASE'),
+    getProjectPriorities(client, projectKey)
+  ]);
+  return { statuses, priorities };
+}
+
+/**
+ * Exports the test cases of a project, or of a folder and its subfolders, to a local directory
+ */
+async function exportTestCases(args) {
+  try {
+    const { projectKey, directory, overwrite } = args;
+
+    if (!projectKey) {
+      throw new Error('projectKey is required');
+    }
+
+    if (!config.projectKeyPattern.test(projectKey)) {
+      throw new Error('Invalid projectKey format. Must match pattern: [A-Z][A-Z_0-9]+');
+    }
+
+    if (!directory) {
+      throw new Error('directory is required');
+    }
+
+    const manifest = await readManifest(directory);
+    if (manifest && manifest.projectKey !== projectKey) {
+      throw new Error(`${directory} holds an export of project ${manifest.projectKey}, not ${projectKey}`);
+    }
+
+    if (manifest && manifest.profile && manifest.profile !== getCurrentProfile().name) {
+      throw new Error(`${directory} holds an export made with profile "${manifest.profile}", not "${getCurrentProfile().name}"`);
+    }
+
+    const [{ folderId }, folders, options] = await Promise.all([
+      resolveFolderArgument(projectKey, 'TEST_CASE', { folderId: args.folderId, folderPath: args.folderPath }),
+      fetchAllFolders(projectKey, 'TEST_CASE'),
+      getSpecOptions(projectKey)
+    ]);
+
+    // Folder paths by ID, and the folders in the exported subtree
+    const folderPaths = new Map();
+    let rootNode = null;
+    const walk = (nodes) => nodes.forEach(node => {
+      folderPaths.set(node.id, node.path);
+      if (node.id === folderId) rootNode = node;
+      walk(node.children);
+    });
+    walk(buildFolderTree(folders));
+
+    if (folderId && !rootNode) {
+      throw new Error(`Folder ${folderId} not found in ${projectKey}`);
+    }
+
+    const exportedFolderIds = new Set();
+    const collect = (node) => {
+      exportedFolderIds.add(node.id);
+      node.children.forEach(collect);
+    };
+    if (rootNode) collect(rootNode);
+
+    const testCases = (await client.getAllCursorPaginated(
+      (params) => client.getTestCasesNextgen({ ...params, projectKey })
+    )).filter(testCase => !rootNode || exportedFolderIds.has(testCase.folder?.id));
+
+    const states = await mapWithConcurrency(testCases, CONCURRENCY,
+      testCase => fetchTestCaseState(testCase.key, { testCase }));
+
+    const entries = { ...manifest?.testCases };
+    const files = [];
+    const skipped = [];
+
+    for (const state of states) {
+      const spec = toSpec(state, options);
+      const folderPath = folderPaths.get(state.testCase.folder?.id) || '';
+      const relativeFolder = rootNode ? folderPath.slice(rootNode.path.length + 1) : folderPath;
+      const filePath = [
+        ...relativeFolder.split('/').filter(Boolean).map(toFileName),
+        `${spec.key}${SPEC_EXTENSIONS[spec.format]}`
+      ].join('/');
+
+      // Local edits that were not synced yet would be lost
+      const previous = entries[spec.key];
+      if (previous && !overwrite && await hasLocalEdits(directory, previous)) {
+        skipped.push({ key: spec.key, path: previous.path, reason: 'The file has local edits that were not synced' });
+        continue;
+      }
+
+      const absolutePath = resolveInside(directory, filePath);
+      await mkdir(path.dirname(absolutePath), { recursive: true });
+      await writeFile(absolutePath, renderSpec(spec), 'utf8');
+
+      // The test case moved folders or changed format since the last export
+      if (previous && previous.path !== filePath) {
+        await unlink(resolveInside(directory, previous.path)).catch(() => {});
+      }
+
+      entries[spec.key] = { path: filePath, spec };
+      files.push({ key: spec.key, path: filePath, format: spec.format });
+    }
+
+    await writeManifest(directory, {
+      projectKey,
+      profile: getCurrentProfile().name,
+      folder: rootNode ? rootNode.path : null,
+      exportedAt: new Date().toISOString(),
+      testCases: entries
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            message: `Exported ${files.length} test cases of ${projectKey} to ${directory}`,
+            directory,
+            folder: rootNode ? rootNode.path : null,
+            exported: files.length,
+            skipped,
+            files,
+            ...(skipped.length > 0 && {
+              note: 'Sync the skipped files with sync_test_cases first, or export with overwrite to discard their edits'
+            })
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `exporting test cases to ${args.directory}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Pushes the fields, steps or script of a local spec that differ from the Zephyr state
+ */
+async function pushSpec(local, state, changes, options) {
+  const key = local.key;
+  const fieldChanges = changes.filter(field => !['steps', 'script'].includes(field));
+
+  // The API cannot remove every step or the script, such a file would never be in sync
+  const removesSteps = (changes.includes('steps') || changes.includes('script'))
+    && !(local.steps?.length > 0) && !local.script;
+  if (removesSteps) {
+    throw new Error('The file has no steps or script left, and Zephyr cannot remove them all. Add a step or a script, or export again');
+  }
+
+  if (fieldChanges.length > 0) {
+    const update = {
+      name: local.name,
+      labels: local.labels,
+      objective: local.objective,
+      ...(local.format === 'markdown' && { precondition: local.precondition })
+    };
+    if (local.status) update.statusId = findOptionByName(options.statuses, local.status, 'status').id;
+    if (local.priority) update.priorityId = findOptionByName(options.priorities, local.priority, 'priority').id;
+
+    await client.updateTestCase(key, buildTestCaseUpdate(state.testCase, update));
+  }
+
+  // Steps and scripts are mutually exclusive, writing one removes the other
+  if (changes.includes('steps') && local.steps?.length > 0) {
+    await writeAllTestSteps(key, local.steps.map(specStepToStepInput));
+  } else if ((changes.includes('script') || changes.includes('steps')) && local.script) {
+    await client.createTestScript(key, local.script);
+  }
+}
+
+/**
+ * Syncs one exported test case: pushes local edits unless Zephyr changed it since the export
+ */
+async function syncEntry(directory, key, entry, context) {
+  const { options, force, dryRun, syncedSpecs } = context;
+  const result = { key, path: entry.path };
+
+  try {
+    const local = await readSpecFile(directory, entry);
+    if (!local) {
+      return { ...result, status: 'missing' };
+    }
+
+    if (local.key !== key) {
+      throw new Error(`The file names test case ${local.key || 'none'} instead of ${key}`);
+    }
+
+    const state = await fetchTestCaseState(key);
+    const remote = toSpec(state, options);
+    // Steps and scripts are compared whatever the format, a Markdown file may switch between them
+    const changes = changedSpecFields(remote, local);
+
+    if (changes.length === 0) {
+      syncedSpecs.set(key, remote);
+      return { ...result, status: 'unchanged' };
+    }
+
+    const localEdits = changedSpecFields(entry.spec, local);
+    const remoteEdits = changedSpecFields(entry.spec, remote);
+
+    if (localEdits.length === 0) {
+      return { ...result, status: 'remoteChanged', changes: remoteEdits };
+    }
+
+    if (remoteEdits.length > 0 && !force) {
+      return { ...result, status: 'conflict', localChanges: localEdits, remoteChanges: remoteEdits };
+    }
+
+    if (dryRun) {
+      const requests = await captureWriteRequests(() => pushSpec(local, state, changes, options));
+      return { ...result, status: 'wouldPush', changes, requests };
+    }
+
+    const snapshot = await captureSnapshot(key, { state });
+    await pushSpec(local, state, changes, options);
+    syncedSpecs.set(key, local);
+    return { ...result, status: 'pushed', changes, snapshotId: snapshot.id };
+  } catch (error) {
+    return { ...result, status: 'failed', error: error.responseData?.message || error.message };
+  }
+}
+
+/**
+ * Pushes the local edits of an exported directory back to Zephyr
+ */
+async function syncTestCases(args) {
+  try {
+    const { directory, testCaseKeys, force } = args;
+    const dryRun = isDryRun(args);
+
+    if (!directory) {
+      throw new Error('directory is required');
+    }
+
+    const manifest = await readManifest(directory);
+    if (!manifest) {
+      throw new Error(`${directory} holds no export (${MANIFEST_FILE} not found). Run export_test_cases first`);
+    }
+
+    // The files belong to the Zephyr site they were exported from
+    const profile = getCurrentProfile().name;
+    if (manifest.profile && manifest.profile !== profile) {
+      throw new Error(`${directory} was exported with profile "${manifest.profile}", not "${profile}". Sync it with profile "${manifest.profile}"`);
+    }
+
+    // The project comes from the manifest, not from the arguments checked before every call
+    assertProjectAllowed(manifest.projectKey);
+
+    const keys = testCaseKeys || Object.keys(manifest.testCases);
+    const unknownKeys = keys.filter(key => !manifest.testCases[key]);
+    if (unknownKeys.length > 0) {
+      throw new Error(`Not part of the export: ${unknownKeys.join(', ')}`);
+    }
+
+    // The keys come from the manifest too, and every one of them is pushed to its own project
+    keys.forEach(key => {
+      const match = /^([A-Z][A-Z_0-9]+)-T[0-9]+$/.exec(key);
+      if (!match) {
+        throw new Error(`Invalid test case key ${key} in ${MANIFEST_FILE}`);
+      }
+      assertProjectAllowed(match[1]);
+    });
+
+    const syncedSpecs = new Map();
+    const context = { options: await getSpecOptions(manifest.projectKey), force, dryRun, syncedSpecs };
+    const results = await mapWithConcurrency(keys, CONCURRENCY,
+      key => syncEntry(directory, key, manifest.testCases[key], context));
+
+    // The manifest follows what is now in Zephyr, so the next sync only sees newer edits
+    if (!dryRun) {
+      syncedSpecs.forEach((spec, key) => {
+        manifest.testCases[key].spec = spec;
+      });
+      manifest.syncedAt = new Date().toISOString();
+      await writeManifest(directory, manifest);
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    const summary = dryRun
+      ? { dryRun: true, message: `Dry run: nothing was changed. ${count('wouldPush')} test cases have local edits to push` }
+      : { message: `Pushed ${count('pushed')} test cases from ${directory}`, pushed: count('pushed') };
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            ...summary,
+            directory,
+            total: results.length,
+            unchanged: count('unchanged'),
+            remoteChanged: count('remoteChanged'),
+            conflicts: count('conflict'),
+            failed: count('failed'),
+            results: results.filter(result => result.status !== 'unchanged'),
+            ...(count('remoteChanged') + count('conflict') > 0 && {
+              note: 'Test cases changed in Zephyr since the export are not pushed. Export again to get their changes, or sync with force to overwrite them'
+            })
+          }, null, 2)
+        }
+      ],
+      ...(count('failed') > 0 && count('failed') === results.length && { isError: true })
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `syncing test cases from ${args.directory}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+export const exportTools = [
+  {
+    name: 'export_test_cases',
+    readOnly: true,
+    description: 'Export the test cases of a project or folder to a local directory mirroring the folder tree: BDD test cases as .feature files, the others as Markdown with front-matter',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectKey: {
+          type: 'string',
+          description: 'Jira project key',
+          pattern: config.projectKeyPattern.source
+        },
+        directory: {
+          type: 'string',
+          description: 'Local directory to write the files to (created if missing)'
+        },
+        folderId: {
+          type: 'integer',
+          description: 'Only export this folder and its subfolders (default: the whole project)',
+          minimum: 1
+        },
+        folderPath: {
+          type: 'string',
+          description: 'Slash-separated folder path to export with its subfolders, e.g. "Regression/Checkout" (alternative to folderId)'
+        },
+        overwrite: {
+          type: 'boolean',
+          description: 'Overwrite files with local edits that were not synced (default: false)',
+          default: false
+        }
+      },
+      required: ['projectKey', 'directory']
+    },
+    handler: exportTestCases
+  },
+  {
+    name: 'sync_test_cases',
+    // The project keys come from the manifest, checked by the handler
+    checksProjectAccess: true,
+    description: 'Push the local edits of a directory written by export_test_cases back to Zephyr. Test cases also changed in Zephyr since the export are reported as conflicts',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        directory: {
+          type: 'string',
+          description: 'Directory written by export_test_cases'
+        },
+        testCaseKeys: {
+          type: 'array',
+          description: 'Only sync these test cases (default: every exported test case)',
+          items: {
+            type: 'string',
+            pattern: config.testCaseKeyPattern.source
+          }
+        },
+        force: {
+          type: 'boolean',
+          description: 'Push local edits even when the test case also changed in Zephyr since the export (default: false)',
+          default: false
+        },
+        dryRun: dryRunProperty
+      },
+      required: ['directory']
+    },
+    handler: syncTestCases
+  }
+];
+
+export default exportTools;
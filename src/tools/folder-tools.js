@@ -2,11 +2,11 @@
  * MCP Tools for Zephyr Folder Management
  */
 
-import ZephyrClient from '../zephyr-client.js';
+import { zephyrClient as client } from '../zephyr-client.js';
 import { config } from '../config.js';
 import { formatError } from '../utils/error-handler.js';
-
-const client = new ZephyrClient();
+import { isDryRun, dryRunResponse, dryRunProperty } from '../utils/dry-run.js';
+import { FOLDER_TYPES, fetchAllFolders, buildFolderTree, resolveFolderArgument, folderPathProperties } from '../utils/folders.js';
 
 /**
  * Lists folders in a project or specific folder
@@ -85,12 +85,61 @@ async function getFolder(args) {
   }
 }
 
+/**
+ * Gets the full folder tree of a project for a folder type
+ */
+async function getFolderTree(args) {
+  try {
+    const { projectKey } = args;
+    const folderType = args.folderType || 'TEST_CASE';
+
+    if (!projectKey) {
+      throw new Error('projectKey is required');
+    }
+
+    if (!config.projectKeyPattern.test(projectKey)) {
+      throw new Error('Invalid projectKey format. Must match pattern: [A-Z][A-Z_0-9]+');
+    }
+
+    if (!FOLDER_TYPES.includes(folderType)) {
+      throw new Error(`folderType must be one of: ${FOLDER_TYPES.join(', ')}`);
+    }
+
+    const folders = await fetchAllFolders(projectKey, folderType);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            projectKey,
+            folderType,
+            totalFolders: folders.length,
+            tree: buildFolderTree(folders),
+            note: 'Folder paths can be used as folderPath on test case, test cycle and test plan tools'
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `fetching the folder tree of ${args.projectKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
 /**
  * Creates a new folder
  */
 async function createFolder(args) {
   try {
-    const { name, projectKey, parentFolderId, folderType } = args;
+    const { name, projectKey, parentFolderPath, createMissingFolders, folderType } = args;
 
     if (!name) {
       throw new Error('folder name is required');
@@ -105,13 +154,19 @@ async function createFolder(args) {
     }
 
     // Validate folderType against allowed enum values
-    const validFolderTypes = ['TEST_CASE', 'TEST_PLAN', 'TEST_CYCLE'];
     const selectedFolderType = folderType || 'TEST_CASE';
 
-    if (!validFolderTypes.includes(selectedFolderType)) {
-      throw new Error(`folderType must be one of: ${validFolderTypes.join(', ')}`);
+    if (!FOLDER_TYPES.includes(selectedFolderType)) {
+      throw new Error(`folderType must be one of: ${FOLDER_TYPES.join(', ')}`);
     }
 
+    const { folderId: parentFolderId, createdFolders, requests: folderRequests } = await resolveFolderArgument(
+      projectKey,
+      selectedFolderType,
+      { folderId: args.parentFolderId, folderPath: parentFolderPath, createMissingFolders },
+      { dryRun: isDryRun(args) }
+    );
+
     const folderData = {
       name,
       projectKey,
@@ -119,12 +174,21 @@ async function createFolder(args) {
     };
 
     if (parentFolderId) {
-      if (!config.folderIdPattern.test(parentFolderId)) {
+      if (!config.folderIdPattern.test(String(parentFolderId))) {
         throw new Error('Invalid parentFolderId format. Must be a numeric ID.');
       }
       folderData.parentId = parseInt(parentFolderId);
     }
 
+    if (isDryRun(args)) {
+      return dryRunResponse({
+        description: `Would create folder "${name}" in ${projectKey}`,
+        write: () => client.createFolder(folderData),
+        payload: folderData,
+        requests: folderRequests
+      });
+    }
+
     const result = await client.createFolder(folderData);
 
     return {
@@ -133,7 +197,8 @@ async function createFolder(args) {
           type: 'text',
           text: JSON.stringify({
             message: 'Folder created successfully',
-            folder: result
+            folder: result,
+            ...(createdFolders.length > 0 && { createdFolders })
           }, null, 2)
         }
       ]
@@ -154,6 +219,7 @@ async function createFolder(args) {
 export const folderTools = [
   {
     name: 'list_folders',
+    readOnly: true,
     description: 'List folders in a project or specific folder',
     inputSchema: {
       type: 'object',
@@ -187,6 +253,7 @@ export const folderTools = [
   },
   {
     name: 'get_folder',
+    readOnly: true,
     description: 'Get detailed information about a specific folder',
     inputSchema: {
       type: 'object',
@@ -201,6 +268,29 @@ export const folderTools = [
     },
     handler: getFolder
   },
+  {
+    name: 'get_folder_tree',
+    readOnly: true,
+    description: 'Get the full folder tree of a project for a folder type, with the path of every folder',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectKey: {
+          type: 'string',
+          description: 'Jira project key',
+          pattern: config.projectKeyPattern.source
+        },
+        folderType: {
+          type: 'string',
+          description: 'Folder type (default: TEST_CASE)',
+          enum: FOLDER_TYPES,
+          default: 'TEST_CASE'
+        }
+      },
+      required: ['projectKey']
+    },
+    handler: getFolderTree
+  },
   {
     name: 'create_folder',
     description: 'Create a new folder in a project',
@@ -223,12 +313,18 @@ export const folderTools = [
           description: 'Optional parent folder ID to create a subfolder',
           pattern: config.folderIdPattern.source
         },
+        parentFolderPath: {
+          type: 'string',
+          description: 'Optional slash-separated parent folder path, e.g. "Regression/Checkout" (alternative to parentFolderId)'
+        },
+        createMissingFolders: folderPathProperties.createMissingFolders,
         folderType: {
           type: 'string',
           description: 'Folder type (default: TEST_CASE)',
           enum: ['TEST_CASE', 'TEST_PLAN', 'TEST_CYCLE'],
           default: 'TEST_CASE'
-        }
+        },
+        dryRun: dryRunProperty
       },
       required: ['name', 'projectKey']
     },
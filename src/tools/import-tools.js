@@ -0,0 +1,699 @@
+/**
+ * MCP Tools for bulk test case import from CSV, JSON and Gherkin feature files
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { zephyrClient as client } from '../zephyr-client.js';
+import { config } from '../config.js';
+import { formatError } from '../utils/error-handler.js';
+import { getProjectStatuses, getProjectPriorities, findOptionByName } from '../utils/reference-data.js';
+import { validateCustomFields } from '../utils/custom-fields.js';
+import { resolveFolderPath, resolveFolderArgument, folderPathProperties } from '../utils/folders.js';
+import { writeAllTestSteps } from '../utils/test-steps.js';
+import { parseCsvRecords } from '../utils/csv.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { isDryRun, captureWriteRequests, dryRunProperty } from '../utils/dry-run.js';
+import { captureSnapshot } from '../utils/snapshots.js';
+import { buildTestCaseUpdate } from '../utils/test-case-update.js';
+import { parseFeature, TEST_CASE_KEY_TAG_PATTERN } from '../utils/gherkin.js';
+
+const DEFAULT_CONCURRENCY = 5;
+const MAX_CONCURRENCY = 10;
+
+// Fields read from the column of the same name unless `mapping` names another column
+const MAPPABLE_FIELDS = [
+  'name',
+  'objective',
+  'precondition',
+  'component',
+  'labels',
+  'status',
+  'priority',
+  'folder',
+  'estimatedTime',
+  'steps',
+  'stepDescription',
+  'stepExpectedResult',
+  'stepTestData'
+];
+
+// Columns named "customFields.<Field name>" hold custom field values
+const CUSTOM_FIELD_PREFIX = 'customFields.';
+
+/**
+ * Reads a value from a record by column name (case-insensitive)
+ */
+function readColumn(source, column) {
+  if (column in source) {
+    return source[column];
+  }
+  const match = Object.keys(source).find(key => key.toLowerCase() === column.toLowerCase());
+  return match !== undefined ? source[match] : undefined;
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Builds a step from the step columns of a record, or null when they are empty
+ */
+function readStep(source, columnFor) {
+  const description = readColumn(source, columnFor('stepDescription'));
+  const expectedResult = readColumn(source, columnFor('stepExpectedResult'));
+  const testData = readColumn(source, columnFor('stepTestData'));
+
+  if ([description, expectedResult, testData].every(isBlank)) {
+    return null;
+  }
+
+  return { description, expectedResult, testData };
+}
+
+/**
+ * Reads the custom field values of a record, from prefixed columns and mapped columns
+ */
+function readCustomFields(source, customFieldMapping) {
+  const customFields = {};
+
+  if (source.customFields && typeof source.customFields === 'object') {
+    Object.assign(customFields, source.customFields);
+  }
+
+  Object.entries(source)
+    .filter(([key]) => key.startsWith(CUSTOM_FIELD_PREFIX))
+    .forEach(([key, value]) => {
+      customFields[key.slice(CUSTOM_FIELD_PREFIX.length)] = value;
+    });
+
+  Object.entries(customFieldMapping).forEach(([field, column]) => {
+    const value = readColumn(source, column);
+    if (value !== undefined) {
+      customFields[field] = value;
+    }
+  });
+
+  // Empty cells leave the field unset
+  return Object.fromEntries(Object.entries(customFields).filter(([, value]) => !isBlank(value)));
+}
+
+/**
+ * Converts the parsed file into test case records. In CSV files, a row without a name
+ * but with step columns adds a step to the test case above it.
+ */
+function toRecords(sources, mapping) {
+  const { customFields: customFieldMapping = {}, ...fieldMapping } = mapping;
+  const columnFor = (field) => fieldMapping[field] || field;
+  const records = [];
+
+  sources.forEach((source, index) => {
+    const row = index + 1;
+    const name = readColumn(source, columnFor('name'));
+    const step = readStep(source, columnFor);
+
+    if (isBlank(name) && step && records.length > 0) {
+      records[records.length - 1].steps.push(step);
+      return;
+    }
+
+    const steps = readColumn(source, columnFor('steps'));
+    const labels = readColumn(source, columnFor('labels'));
+
+    records.push({
+      row,
+      name: isBlank(name) ? null : String(name).trim(),
+      objective: readColumn(source, columnFor('objective')),
+      precondition: readColumn(source, columnFor('precondition')),
+      component: readColumn(source, columnFor('component')),
+      labels: Array.isArray(labels)
+        ? labels
+        : String(labels ?? '').split(/[,;]/).map(label => label.trim()).filter(Boolean),
+      status: readColumn(source, columnFor('status')),
+      priority: readColumn(source, columnFor('priority')),
+      folder: readColumn(source, columnFor('folder')),
+      estimatedTime: readColumn(source, columnFor('estimatedTime')),
+      steps: [
+        ...(Array.isArray(steps) ? steps.map(item => (typeof item === 'string' ? { description: item } : item)) : []),
+        ...(step ? [step] : [])
+      ],
+      customFields: readCustomFields(source, customFieldMapping)
+    });
+  });
+
+  return records;
+}
+
+/**
+ * Reads and parses the import file (CSV with a header row, or a JSON array of objects)
+ */
+async function readImportFile(filePath, format, delimiter) {
+  const content = await readFile(filePath, 'utf8');
+  const selectedFormat = (format || path.extname(filePath).slice(1)).toLowerCase();
+
+  if (selectedFormat === 'csv') {
+    return parseCsvRecords(content, delimiter);
+  }
+
+  if (selectedFormat === 'json') {
+    const data = JSON.parse(content);
+    const sources = Array.isArray(data) ? data : data.testCases;
+    if (!Array.isArray(sources)) {
+      throw new Error('JSON import files must hold an array of test cases (or { "testCases": [...] })');
+    }
+    return sources;
+  }
+
+  throw new Error(`Unsupported import format "${selectedFormat}". Must be one of: csv, json`);
+}
+
+/**
+ * Resolves every distinct folder path once, before the test cases are created in parallel,
+ * so missing folders are never created twice. Failures are kept per path.
+ */
+async function resolveFolders(projectKey, records, createMissing) {
+  const folders = new Map();
+  const paths = [...new Set(records.map(record => record.folder).filter(folder => !isBlank(folder)))];
+
+  for (const folderPath of paths) {
+    try {
+      const { folderId } = await resolveFolderPath(projectKey, 'TEST_CASE', folderPath, { createMissing });
+      folders.set(folderPath, { folderId });
+    } catch (error) {
+      folders.set(folderPath, { error: error.message });
+    }
+  }
+
+  return folders;
+}
+
+/**
+ * Builds the create payload and the steps of a record, throwing on invalid values
+ */
+function buildTestCase(record, context) {
+  const { projectKey, statuses, priorities, folders } = context;
+
+  if (!record.name) {
+    throw new Error('name is required');
+  }
+
+  const payload = {
+    name: record.name,
+    projectKey
+  };
+
+  if (!isBlank(record.objective)) payload.objective = record.objective;
+  if (!isBlank(record.precondition)) payload.precondition = record.precondition;
+  // The Zephyr API cannot list Jira components, so names cannot be resolved to IDs
+  if (!isBlank(record.component)) {
+    const componentId = Number(record.component);
+    if (!Number.isInteger(componentId) || componentId < 1) {
+      throw new Error(`Invalid component "${record.component}". Must be a Jira component ID, component names cannot be resolved`);
+    }
+    payload.componentId = componentId;
+  }
+  if (record.labels.length > 0) payload.labels = record.labels;
+  if (!isBlank(record.status)) payload.statusName = findOptionByName(statuses, String(record.status), 'status').name;
+  if (!isBlank(record.priority)) payload.priorityName = findOptionByName(priorities, String(record.priority), 'priority').name;
+
+  if (!isBlank(record.estimatedTime)) {
+    const minutes = Number(record.estimatedTime);
+    if (Number.isNaN(minutes) || minutes < 0) {
+      throw new Error(`Invalid estimatedTime "${record.estimatedTime}". Must be a number of minutes`);
+    }
+    payload.estimatedTime = minutes * 60000; // Convert minutes to milliseconds
+  }
+
+  if (!isBlank(record.folder)) {
+    const folder = folders.get(record.folder);
+    if (folder.error) {
+      throw new Error(folder.error);
+    }
+    // Folders only planned by a dry run have no ID yet
+    if (folder.folderId) payload.folderId = folder.folderId;
+  }
+
+  const customFields = validateCustomFields(projectKey, 'TEST_CASE', record.customFields);
+  if (Object.keys(customFields).length > 0) payload.customFields = customFields;
+
+  const steps = record.steps.map((step, index) => {
+    if (isBlank(step.description)) {
+      throw new Error(`Step ${index + 1}: description is required`);
+    }
+
+    const inline = { description: String(step.description) };
+    if (!isBlank(step.expectedResult)) inline.expectedResult = String(step.expectedResult);
+    if (!isBlank(step.testData)) inline.testData = String(step.testData);
+    return { inline };
+  });
+
+  return { payload, steps };
+}
+
+/**
+ * Creates the test case of a record with its steps and returns the row result
+ */
+async function importRecord(record, context) {
+  let testCase;
+  try {
+    const { payload, steps } = buildTestCase(record, context);
+
+    if (context.dryRun) {
+      return { row: record.row, name: record.name, status: 'valid', payload, stepsCount: steps.length };
+    }
+
+    testCase = await client.createTestCase(payload);
+    if (steps.length > 0) {
+      await writeAllTestSteps(testCase.key, steps);
+    }
+
+    return { row: record.row, name: record.name, status: 'created', key: testCase.key, stepsCount: steps.length };
+  } catch (error) {
+    const message = error.responseData?.message || error.message;
+
+    // The test case exists but its steps are missing: retrying the row would duplicate it
+    if (testCase) {
+      return { row: record.row, name: record.name, status: 'partial', key: testCase.key, error: `Steps not created: ${message}` };
+    }
+
+    return { row: record.row, name: record.name, status: 'failed', error: message };
+  }
+}
+
+/**
+ * Runs fn, capturing its write requests when dryRun is set
+ */
+async function captureWriteRequestsIf(dryRun, fn) {
+  if (dryRun) {
+    return captureWriteRequests(fn);
+  }
+  await fn();
+  return [];
+}
+
+/**
+ * Imports test cases from a local CSV or JSON file
+ */
+async function importTestCases(args) {
+  try {
+    const { projectKey, filePath, format, delimiter, mapping = {}, rows, createMissingFolders } = args;
+    const concurrency = args.concurrency || DEFAULT_CONCURRENCY;
+    const dryRun = isDryRun(args);
+
+    if (!projectKey) {
+      throw new Error('projectKey is required');
+    }
+
+    if (!config.projectKeyPattern.test(projectKey)) {
+      throw new Error('Invalid projectKey format. Must match pattern: [A-Z][A-Z_0-9]+');
+    }
+
+    if (!filePath) {
+      throw new Error('filePath is required');
+    }
+
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+      throw new Error(`concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`);
+    }
+
+    const unknownFields = Object.keys(mapping).filter(field => field !== 'customFields' && !MAPPABLE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      throw new Error(`Unknown mapping fields: ${unknownFields.join(', ')}. Valid fields: ${MAPPABLE_FIELDS.join(', ')}, customFields`);
+    }
+
+    const allRecords = toRecords(await readImportFile(filePath, format, delimiter), mapping);
+
+    // Resuming imports only the given rows, e.g. the failedRows of a previous import
+    const records = rows ? allRecords.filter(record => rows.includes(record.row)) : allRecords;
+    if (records.length === 0) {
+      throw new Error(rows ? `None of the rows ${rows.join(', ')} start a test case` : 'The file holds no test cases');
+    }
+
+    const [statuses, priorities] = await Promise.all([
+      records.some(record => !isBlank(record.status)) ? getProjectStatuses(client, projectKey, 'TEST_CASE') : [],
+      records.some(record => !isBlank(record.priority)) ? getProjectPriorities(client, projectKey) : []
+    ]);
+
+    let folders;
+    const folderRequests = await captureWriteRequestsIf(dryRun, async () => {
+      folders = await resolveFolders(projectKey, records, createMissingFolders);
+    });
+
+    const context = { projectKey, statuses, priorities, folders, dryRun };
+    const results = await mapWithConcurrency(records, concurrency, record => importRecord(record, context));
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    const failedRows = results.filter(result => result.status === 'failed').map(result => result.row);
+
+    const summary = dryRun
+      ? {
+        dryRun: true,
+        message: `Dry run: nothing was created. ${count('valid')} of ${records.length} test cases are valid`,
+        valid: count('valid'),
+        folderRequests
+      }
+      : {
+        message: `Imported ${count('created')} of ${records.length} test cases into ${projectKey}`,
+        created: count('created'),
+        partial: count('partial')
+      };
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            ...summary,
+            filePath,
+            total: records.length,
+            failed: failedRows.length,
+            failedRows,
+            results,
+            ...(failedRows.length > 0 && {
+              note: 'Fix the failed rows and run the import again with rows set to failedRows to retry only them'
+            })
+          }, null, 2)
+        }
+      ],
+      ...(failedRows.length === records.length && { isError: true })
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `importing test cases from ${args.filePath}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Finds the test case key tag of a scenario, if any
+ */
+function findKeyTag(scenario) {
+  const keys = scenario.ownTags.map(tag => tag.match(TEST_CASE_KEY_TAG_PATTERN)?.[1]).filter(Boolean);
+  if (keys.length > 1) {
+    throw new Error(`Scenario has several test case key tags: ${keys.join(', ')}`);
+  }
+  return keys[0] || null;
+}
+
+/**
+ * Creates or updates the test case of a scenario and stores the scenario as its BDD script
+ */
+async function importScenario(scenario, context) {
+  const { projectKey, folderId, dryRun } = context;
+  const result = { line: scenario.line, name: scenario.name };
+  let key = null;
+  let created = false;
+  let snapshotId = null;
+
+  try {
+    key = findKeyTag(scenario);
+    if (key && !key.startsWith(`${projectKey}-`)) {
+      throw new Error(`Test case ${key} does not belong to project ${projectKey}`);
+    }
+    if (!scenario.script.trim()) {
+      throw new Error('Scenario has no steps');
+    }
+
+    const fields = {
+      name: scenario.name,
+      // Tags become labels, except the tag naming the test case
+      labels: scenario.tags.filter(tag => !TEST_CASE_KEY_TAG_PATTERN.test(tag)).map(tag => tag.slice(1)),
+      ...(scenario.description && { objective: scenario.description })
+    };
+    const testScript = { type: 'bdd', text: scenario.script };
+
+    const write = async () => {
+      if (key) {
+        const currentTestCase = await client.getTestCase(key);
+        if (!dryRun) {
+          snapshotId = (await captureSnapshot(key, { testCase: currentTestCase })).id;
+        }
+        await client.updateTestCase(key, buildTestCaseUpdate(currentTestCase, { ...fields, folderId }));
+      } else {
+        const testCase = await client.createTestCase({
+          ...fields,
+          projectKey,
+          ...(folderId && { folderId })
+        });
+        // Dry runs create nothing, so the script request names a placeholder
+        key = testCase?.key;
+        created = true;
+      }
+      await client.createTestScript(key || `${projectKey}-T<new>`, testScript);
+    };
+
+    const action = key ? 'updated' : 'created';
+
+    if (dryRun) {
+      const requests = await captureWriteRequests(write);
+      return { ...result, status: 'valid', action: action === 'updated' ? 'update' : 'create', key, labels: fields.labels, requests };
+    }
+
+    await write();
+    return { ...result, status: action, key, labels: fields.labels, ...(snapshotId && { snapshotId }) };
+  } catch (error) {
+    const message = error.responseData?.message || error.message;
+
+    // The test case exists but its script is missing: it is tagged so a re-import updates it
+    if (created && key) {
+      return { ...result, status: 'partial', key, error: `Script not created: ${message}` };
+    }
+
+    return { ...result, status: 'failed', ...(key && { key }), error: message };
+  }
+}
+
+/**
+ * Adds the key tags of newly created test cases to their scenarios in the feature file
+ */
+async function writeKeyTags(filePath, content, results, scenarios) {
+  // Keep the line endings of the file, so only the tagged lines change
+  const lineEnding = content.match(/\r\n?|\n/)?.[0] || '\n';
+  const lines = content.split(/\r\n?|\n/);
+  const created = results.filter(result => result.key && (result.status === 'created' || result.status === 'partial'));
+
+  // From the bottom up, so inserted lines do not shift the scenarios still to tag
+  [...created].sort((a, b) => b.line - a.line).forEach(result => {
+    const scenario = scenarios.find(item => item.line === result.line);
+    if (scenario.tagLine) {
+      lines[scenario.tagLine - 1] = `${lines[scenario.tagLine - 1].replace(/\s+$/, '')} @${result.key}`;
+    } else {
+      const indent = lines[scenario.line - 1].match(/^\s*/)[0];
+      lines.splice(scenario.line - 1, 0, `${indent}@${result.key}`);
+    }
+  });
+
+  if (created.length > 0) {
+    await writeFile(filePath, lines.join(lineEnding), 'utf8');
+  }
+  return created.length;
+}
+
+/**
+ * Imports the scenarios of a Gherkin feature file as test cases with BDD scripts
+ */
+async function importFeatureFile(args) {
+  try {
+    const { projectKey, filePath, writeBackTags } = args;
+    const dryRun = isDryRun(args);
+
+    if (!projectKey) {
+      throw new Error('projectKey is required');
+    }
+
+    if (!config.projectKeyPattern.test(projectKey)) {
+      throw new Error('Invalid projectKey format. Must match pattern: [A-Z][A-Z_0-9]+');
+    }
+
+    if (!filePath) {
+      throw new Error('filePath is required');
+    }
+
+    const content = await readFile(filePath, 'utf8');
+    const feature = parseFeature(content);
+    if (feature.scenarios.length === 0) {
+      throw new Error('The feature file holds no scenarios');
+    }
+
+    const { folderId, createdFolders, requests: folderRequests } = await resolveFolderArgument(
+      projectKey, 'TEST_CASE', args, { dryRun }
+    );
+
+    // A test case tagged on several scenarios would be overwritten by each of them
+    const keyCounts = new Map();
+    feature.scenarios.forEach(scenario => {
+      const key = scenario.ownTags.map(tag => tag.match(TEST_CASE_KEY_TAG_PATTERN)?.[1]).find(Boolean);
+      if (key) keyCounts.set(key, (keyCounts.get(key) || 0) + 1);
+    });
+    const duplicateKeys = [...keyCounts].filter(([, count]) => count > 1).map(([key]) => key);
+    if (duplicateKeys.length > 0) {
+      throw new Error(`Test case key tags used on several scenarios: ${duplicateKeys.join(', ')}`);
+    }
+
+    // Sequential, so the test cases are created in the order of the file
+    const context = { projectKey, folderId, dryRun };
+    const results = [];
+    for (const scenario of feature.scenarios) {
+      results.push(await importScenario(scenario, context));
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    const taggedScenarios = writeBackTags && !dryRun
+      ? await writeKeyTags(filePath, content, results, feature.scenarios)
+      : 0;
+
+    const summary = dryRun
+      ? {
+        dryRun: true,
+        message: `Dry run: nothing was changed. ${count('valid')} of ${results.length} scenarios are valid`,
+        valid: count('valid'),
+        folderRequests
+      }
+      : {
+        message: `Imported ${results.length - count('failed')} of ${results.length} scenarios into ${projectKey}`,
+        created: count('created'),
+        updated: count('updated'),
+        partial: count('partial'),
+        ...(createdFolders.length > 0 && { createdFolders })
+      };
+
+    const untagged = !dryRun && !writeBackTags && count('created') + count('partial') > 0;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            ...summary,
+            filePath,
+            feature: feature.name,
+            total: results.length,
+            failed: count('failed'),
+            ...(writeBackTags && !dryRun && { taggedScenarios }),
+            results,
+            ...(untagged && {
+              note: 'Tag each created scenario with its test case key (e.g. @PROJ-T123), or import with writeBackTags, so a re-import updates it instead of creating a duplicate'
+            })
+          }, null, 2)
+        }
+      ],
+      ...(count('failed') === results.length && { isError: true })
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `importing feature file ${args.filePath}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+export const importTools = [
+  {
+    name: 'import_test_cases',
+    description: 'Create test cases in bulk from a local CSV or JSON file, reporting success or failure per row',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectKey: {
+          type: 'string',
+          description: 'Jira project key to create the test cases in',
+          pattern: config.projectKeyPattern.source
+        },
+        filePath: {
+          type: 'string',
+          description: 'Local path to the CSV (with a header row) or JSON file'
+        },
+        format: {
+          type: 'string',
+          description: 'File format (default: from the file extension)',
+          enum: ['csv', 'json']
+        },
+        delimiter: {
+          type: 'string',
+          description: 'CSV delimiter (default: ",")',
+          minLength: 1,
+          maxLength: 1,
+          default: ','
+        },
+        mapping: {
+          type: 'object',
+          description: `Column name for each field, when it differs from the field name. Fields: ${MAPPABLE_FIELDS.join(', ')}. customFields maps custom field names to columns`,
+          properties: {
+            customFields: {
+              type: 'object',
+              description: 'Custom field name to column name',
+              additionalProperties: { type: 'string' }
+            }
+          },
+          additionalProperties: { type: 'string' }
+        },
+        createMissingFolders: {
+          type: 'boolean',
+          description: 'Create the folders of the folder column that do not exist yet (default: false)',
+          default: false
+        },
+        concurrency: {
+          type: 'integer',
+          description: `Number of test cases created in parallel (default: ${DEFAULT_CONCURRENCY}, max: ${MAX_CONCURRENCY})`,
+          minimum: 1,
+          maximum: MAX_CONCURRENCY,
+          default: DEFAULT_CONCURRENCY
+        },
+        rows: {
+          type: 'array',
+          description: 'Only import these rows (1-based data rows), e.g. the failedRows of a previous import',
+          items: {
+            type: 'integer',
+            minimum: 1
+          }
+        },
+        dryRun: dryRunProperty
+      },
+      required: ['projectKey', 'filePath']
+    },
+    handler: importTestCases
+  },
+  {
+    name: 'import_feature_file',
+    description: 'Import a Gherkin feature file: one test case per scenario with its tags as labels and the scenario as BDD script. Scenarios tagged with a test case key (e.g. @PROJ-T123) update that test case instead of creating a new one',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectKey: {
+          type: 'string',
+          description: 'Jira project key to import the scenarios into',
+          pattern: config.projectKeyPattern.source
+        },
+        filePath: {
+          type: 'string',
+          description: 'Local path to the .feature file'
+        },
+        folderId: {
+          type: 'integer',
+          description: 'Folder ID for the test cases (default: new test cases in the root folder, existing ones stay where they are)',
+          minimum: 1
+        },
+        ...folderPathProperties,
+        writeBackTags: {
+          type: 'boolean',
+          description: 'Add the key tag of each created test case to its scenario in the feature file, so re-imports update it (default: false)',
+          default: false
+        },
+        dryRun: dryRunProperty
+      },
+      required: ['projectKey', 'filePath']
+    },
+    handler: importFeatureFile
+  }
+];
+
+export default importTools;
@@ -0,0 +1,363 @@
+/**
+ * MCP Tools for Zephyr Test Case Links and Jira Issue Traceability
+ */
+
+import { zephyrClient as client } from '../zephyr-client.js';
+import { config } from '../config.js';
+import { formatError } from '../utils/error-handler.js';
+
+// Entity types that can be looked up from a Jira issue
+const coverageLookups = {
+  testCases: (issueKey) => client.getIssueLinkTestCases(issueKey),
+  testCycles: (issueKey) => client.getIssueLinkTestCycles(issueKey),
+  testPlans: (issueKey) => client.getIssueLinkTestPlans(issueKey),
+  executions: (issueKey) => client.getIssueLinkExecutions(issueKey)
+};
+
+/**
+ * Validates a test case key argument
+ */
+function validateTestCaseKey(testCaseKey) {
+  if (!testCaseKey) {
+    throw new Error('testCaseKey is required');
+  }
+
+  if (!config.testCaseKeyPattern.test(testCaseKey)) {
+    throw new Error('Invalid testCaseKey format. Must match pattern: [A-Z]+-T[0-9]+');
+  }
+}
+
+/**
+ * Gets the issue and web links of a test case
+ */
+async function getTestCaseLinks(args) {
+  try {
+    const { testCaseKey } = args;
+    validateTestCaseKey(testCaseKey);
+
+    const links = await client.getTestCaseLinks(testCaseKey);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            testCaseKey,
+            issues: links.issues || [],
+            webLinks: links.webLinks || []
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `fetching links for ${args.testCaseKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Links a Jira issue to a test case
+ */
+async function createTestCaseIssueLink(args) {
+  try {
+    const { testCaseKey, issueId } = args;
+    validateTestCaseKey(testCaseKey);
+
+    if (!issueId) {
+      throw new Error('issueId is required');
+    }
+
+    if (!Number.isInteger(issueId) || issueId < 1) {
+      throw new Error('Invalid issueId format. Must be a positive integer (the Jira issue ID, not its key).');
+    }
+
+    const result = await client.createTestCaseIssueLink(testCaseKey, { issueId });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            message: `Issue ${issueId} linked to test case ${testCaseKey}`,
+            link: result
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `linking issue to test case ${args.testCaseKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Adds a web link to a test case
+ */
+async function createTestCaseWebLink(args) {
+  try {
+    const { testCaseKey, url, description } = args;
+    validateTestCaseKey(testCaseKey);
+
+    if (!url) {
+      throw new Error('url is required');
+    }
+
+    const linkData = { url };
+    if (description) linkData.description = description;
+
+    const result = await client.createTestCaseWebLink(testCaseKey, linkData);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            message: `Web link added to test case ${testCaseKey}`,
+            link: result
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `adding web link to test case ${args.testCaseKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Deletes a link by its ID
+ */
+async function deleteLink(args) {
+  try {
+    const { linkId, testCaseKey } = args;
+
+    if (!linkId) {
+      throw new Error('linkId is required');
+    }
+
+    if (!Number.isInteger(linkId) || linkId < 1) {
+      throw new Error('Invalid linkId format. Must be a positive integer.');
+    }
+
+    // Link IDs carry no project, the test case tells which project the link belongs to
+    validateTestCaseKey(testCaseKey);
+    const links = await client.getTestCaseLinks(testCaseKey);
+    const linkIds = [...(links.issues || []), ...(links.webLinks || [])].map(link => link.id);
+    if (!linkIds.includes(linkId)) {
+      throw new Error(`Link ${linkId} is not a link of ${testCaseKey}`);
+    }
+
+    await client.deleteLink(linkId);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            message: `Link ${linkId} deleted successfully`,
+            linkId
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `deleting link ${args.linkId}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Gets every test case, test cycle, test plan and execution linked to a Jira issue
+ */
+async function getIssueCoverage(args) {
+  try {
+    const { issueKey } = args;
+    const include = args.include || Object.keys(coverageLookups);
+
+    if (!issueKey) {
+      throw new Error('issueKey is required');
+    }
+
+    if (!config.issueKeyPattern.test(issueKey)) {
+      throw new Error('Invalid issueKey format. Must match pattern: [A-Z]+-[0-9]+');
+    }
+
+    const unknownTypes = include.filter(type => !coverageLookups[type]);
+    if (unknownTypes.length > 0) {
+      throw new Error(`include must only contain: ${Object.keys(coverageLookups).join(', ')}`);
+    }
+
+    const results = await Promise.all(include.map(type => coverageLookups[type](issueKey)));
+
+    const coverage = {};
+    include.forEach((type, index) => {
+      coverage[type] = results[index].values || results[index];
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            issueKey,
+            ...coverage,
+            summary: Object.fromEntries(
+              Object.entries(coverage).map(([type, values]) => [type, values.length])
+            )
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `fetching coverage for issue ${args.issueKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+export const linkTools = [
+  {
+    name: 'get_test_case_links',
+    readOnly: true,
+    description: 'Get the Jira issue links and web links of a test case',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testCaseKey: {
+          type: 'string',
+          description: 'Test case key (format: [A-Z]+-T[0-9]+)',
+          pattern: config.testCaseKeyPattern.source
+        }
+      },
+      required: ['testCaseKey']
+    },
+    handler: getTestCaseLinks
+  },
+  {
+    name: 'create_test_case_issue_link',
+    description: 'Link a Jira issue (story, bug, ...) to a test case',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testCaseKey: {
+          type: 'string',
+          description: 'Test case key (format: [A-Z]+-T[0-9]+)',
+          pattern: config.testCaseKeyPattern.source
+        },
+        issueId: {
+          type: 'integer',
+          description: 'Jira issue ID (numeric ID, not the issue key)',
+          minimum: 1
+        }
+      },
+      required: ['testCaseKey', 'issueId']
+    },
+    handler: createTestCaseIssueLink
+  },
+  {
+    name: 'create_test_case_web_link',
+    description: 'Add a web link to a test case',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testCaseKey: {
+          type: 'string',
+          description: 'Test case key (format: [A-Z]+-T[0-9]+)',
+          pattern: config.testCaseKeyPattern.source
+        },
+        url: {
+          type: 'string',
+          description: 'URL of the web link'
+        },
+        description: {
+          type: 'string',
+          description: 'Description of the web link'
+        }
+      },
+      required: ['testCaseKey', 'url']
+    },
+    handler: createTestCaseWebLink
+  },
+  {
+    name: 'delete_link',
+    description: 'Delete an issue or web link of a test case by its ID (see get_test_case_links)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        linkId: {
+          type: 'integer',
+          description: 'ID of the link to delete',
+          minimum: 1
+        },
+        testCaseKey: {
+          type: 'string',
+          description: 'Test case the link belongs to, checked before deleting',
+          pattern: config.testCaseKeyPattern.source
+        }
+      },
+      required: ['linkId', 'testCaseKey']
+    },
+    handler: deleteLink
+  },
+  {
+    name: 'get_issue_coverage',
+    readOnly: true,
+    description: 'Get the test cases, test cycles, test plans and executions linked to a Jira issue',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueKey: {
+          type: 'string',
+          description: 'Jira issue key (e.g., PROJ-123)',
+          pattern: config.issueKeyPattern.source
+        },
+        include: {
+          type: 'array',
+          description: 'Entity types to look up (default: all)',
+          items: {
+            type: 'string',
+            enum: Object.keys(coverageLookups)
+          }
+        }
+      },
+      required: ['issueKey']
+    },
+    handler: getIssueCoverage
+  }
+];
+
+export default linkTools;
@@ -0,0 +1,46 @@
+/**
+ * MCP Tools for Zephyr connection profiles
+ */
+
+import { config } from '../config.js';
+import { getCurrentProfile } from '../profiles.js';
+
+/**
+ * Lists the configured profiles, without their API tokens
+ */
+async function listProfiles() {
+  const profiles = Object.values(config.profiles).map(profile => ({
+    name: profile.name,
+    region: profile.region,
+    baseUrl: profile.baseUrl,
+    default: profile.name === config.defaultProfile
+  }));
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          profiles,
+          currentProfile: getCurrentProfile().name,
+          note: 'Pass "profile" to any tool to run it against another profile'
+        }, null, 2)
+      }
+    ]
+  };
+}
+
+export const profileTools = [
+  {
+    name: 'list_profiles',
+    readOnly: true,
+    description: 'List the configured Zephyr connection profiles (name, region, base URL)',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: listProfiles
+  }
+];
+
+export default profileTools;
@@ -2,12 +2,10 @@
  * MCP Tools for Zephyr Project Management
  */
 
-import ZephyrClient from '../zephyr-client.js';
+import { zephyrClient as client } from '../zephyr-client.js';
 import { config } from '../config.js';
 import { formatError } from '../utils/error-handler.js';
 
-const client = new ZephyrClient();
-
 /**
  * Lists all Zephyr-integrated Jira projects
  */
@@ -82,6 +80,7 @@ async function getProject(args) {
 export const projectTools = [
   {
     name: 'list_projects',
+    readOnly: true,
     description: 'List all Zephyr-integrated Jira projects',
     inputSchema: {
       type: 'object',
@@ -105,6 +104,7 @@ export const projectTools = [
   },
   {
     name: 'get_project',
+    readOnly: true,
     description: 'Get detailed information about a specific Zephyr project',
     inputSchema: {
       type: 'object',
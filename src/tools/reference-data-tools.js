@@ -2,11 +2,9 @@
  * MCP Tools for Zephyr Reference Data (Statuses and Priorities)
  */
 
-import ZephyrClient from '../zephyr-client.js';
+import { zephyrClient as client } from '../zephyr-client.js';
 import { formatError } from '../utils/error-handler.js';
 
-const client = new ZephyrClient();
-
 /**
  * Lists all available statuses in Zephyr
  */
@@ -113,6 +111,7 @@ async function getReferenceData() {
 export const referenceDataTools = [
   {
     name: 'list_statuses',
+    readOnly: true,
     description: 'List all available test case statuses (e.g., Draft, Ready, Approved)',
     inputSchema: {
       type: 'object',
@@ -122,6 +121,7 @@ export const referenceDataTools = [
   },
   {
     name: 'list_priorities',
+    readOnly: true,
     description: 'List all available test case priorities (e.g., High, Medium, Low)',
     inputSchema: {
       type: 'object',
@@ -131,6 +131,7 @@ export const referenceDataTools = [
   },
   {
     name: 'get_reference_data',
+    readOnly: true,
     description: 'Get all reference data (statuses and priorities) in a single call',
     inputSchema: {
       type: 'object',
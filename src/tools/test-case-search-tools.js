@@ -0,0 +1,301 @@
+/**
+ * MCP Tools for client-side search across all test cases of a project
+ */
+
+import { zephyrClient as client } from '../zephyr-client.js';
+import { config } from '../config.js';
+import { formatError } from '../utils/error-handler.js';
+import { getProjectStatuses, getProjectPriorities, findOptionByName } from '../utils/reference-data.js';
+import { fetchAllFolders, getSubfolderIds, resolveFolderArgument, folderPathProperties } from '../utils/folders.js';
+
+// Fields searched by the text filter
+const TEXT_FIELDS = ['name', 'objective', 'precondition'];
+
+const SORT_FIELDS = ['key', 'name', 'createdOn', 'status', 'priority'];
+
+const toList = (value) => (value === undefined ? [] : (Array.isArray(value) ? value : [value]));
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+/**
+ * Parses a date argument, throwing on values Date cannot read
+ */
+function parseDate(value, name) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name} "${value}". Use an ISO 8601 date, e.g. 2024-01-31 or 2024-01-31T12:00:00Z`);
+  }
+  return time;
+}
+
+/**
+ * Checks a custom field value against the searched value. Multi-value fields match when they
+ * hold every searched value, text is compared case-insensitively.
+ */
+function matchesCustomField(actual, expected) {
+  if (actual === undefined || actual === null) {
+    return expected === null;
+  }
+
+  if (Array.isArray(actual)) {
+    const values = actual.map(normalize);
+    return toList(expected).every(value => values.includes(normalize(value)));
+  }
+
+  if (typeof actual === 'string') {
+    return normalize(actual) === normalize(expected);
+  }
+
+  return actual === expected;
+}
+
+/**
+ * Builds the predicate of every given filter
+ */
+function buildFilters(args, options) {
+  const { text, labels, labelsMatch = 'all', ownerId, componentId, createdAfter, createdBefore, customFields } = args;
+  const filters = [];
+
+  if (text) {
+    const query = normalize(text);
+    filters.push(testCase => TEXT_FIELDS.some(field => testCase[field] && normalize(testCase[field]).includes(query)));
+  }
+
+  if (labels) {
+    const searched = toList(labels).map(normalize);
+    filters.push(testCase => {
+      const present = (testCase.labels || []).map(normalize);
+      return labelsMatch === 'any'
+        ? searched.some(label => present.includes(label))
+        : searched.every(label => present.includes(label));
+    });
+  }
+
+  const statusIds = toList(args.statusName).map(name => findOptionByName(options.statuses, name, 'status').id);
+  if (statusIds.length > 0) {
+    filters.push(testCase => statusIds.includes(testCase.status?.id));
+  }
+
+  const priorityIds = toList(args.priorityName).map(name => findOptionByName(options.priorities, name, 'priority').id);
+  if (priorityIds.length > 0) {
+    filters.push(testCase => priorityIds.includes(testCase.priority?.id));
+  }
+
+  if (ownerId) {
+    filters.push(testCase => testCase.owner?.accountId === ownerId);
+  }
+
+  if (componentId) {
+    filters.push(testCase => testCase.component?.id === componentId);
+  }
+
+  if (createdAfter) {
+    const after = parseDate(createdAfter, 'createdAfter');
+    filters.push(testCase => Date.parse(testCase.createdOn) >= after);
+  }
+
+  if (createdBefore) {
+    const before = parseDate(createdBefore, 'createdBefore');
+    filters.push(testCase => Date.parse(testCase.createdOn) < before);
+  }
+
+  if (customFields) {
+    Object.entries(customFields).forEach(([name, value]) => {
+      filters.push(testCase => matchesCustomField(testCase.customFields?.[name], value));
+    });
+  }
+
+  return filters;
+}
+
+/**
+ * Builds the comparator of the sort field. Keys sort by number, statuses and priorities by name.
+ */
+function buildComparator(sortBy, sortOrder, options) {
+  const nameOf = (list, reference) => list.find(option => option.id === reference?.id)?.name ?? '';
+  const sortValue = {
+    key: testCase => Number(testCase.key.replace(/^.*-T/, '')),
+    name: testCase => normalize(testCase.name || ''),
+    createdOn: testCase => Date.parse(testCase.createdOn) || 0,
+    status: testCase => normalize(nameOf(options.statuses, testCase.status)),
+    priority: testCase => normalize(nameOf(options.priorities, testCase.priority))
+  }[sortBy];
+  const direction = sortOrder === 'desc' ? -1 : 1;
+
+  return (a, b) => {
+    const [left, right] = [sortValue(a), sortValue(b)];
+    return (left < right ? -1 : left > right ? 1 : 0) * direction;
+  };
+}
+
+/**
+ * Searches all test cases of a project (walking every page) and returns a page of the matches
+ */
+async function searchTestCases(args) {
+  try {
+    const { projectKey, recursive, sortBy = 'key', sortOrder = 'asc' } = args;
+    const maxResults = args.maxResults || config.defaultMaxResults;
+    const startAt = args.startAt || 0;
+
+    if (!projectKey) {
+      throw new Error('projectKey is required');
+    }
+
+    if (!config.projectKeyPattern.test(projectKey)) {
+      throw new Error('Invalid projectKey format. Must match pattern: [A-Z][A-Z_0-9]+');
+    }
+
+    if (!SORT_FIELDS.includes(sortBy)) {
+      throw new Error(`sortBy must be one of: ${SORT_FIELDS.join(', ')}`);
+    }
+
+    const [{ folderId }, statuses, priorities] = await Promise.all([
+      resolveFolderArgument(projectKey, 'TEST_CASE', { folderId: args.folderId, folderPath: args.folderPath }),
+      args.statusName || sortBy === 'status' ? getProjectStatuses(client, projectKey, 'TEST_CASE') : [],
+      args.priorityName || sortBy === 'priority' ? getProjectPriorities(client, projectKey) : []
+    ]);
+    const options = { statuses, priorities };
+
+    const filters = buildFilters(args, options);
+
+    // Subfolders are matched locally, the API only filters on a single folder
+    if (folderId && recursive) {
+      const folderIds = getSubfolderIds(await fetchAllFolders(projectKey, 'TEST_CASE'), folderId);
+      filters.push(testCase => folderIds.has(testCase.folder?.id));
+    }
+
+    const testCases = await client.getAllCursorPaginated(
+      (params) => client.getTestCasesNextgen({ ...params, projectKey, ...(folderId && !recursive && { folderId }) })
+    );
+
+    const matches = testCases
+      .filter(testCase => filters.every(filter => filter(testCase)))
+      .sort(buildComparator(sortBy, sortOrder, options));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            testCases: matches.slice(startAt, startAt + maxResults),
+            total: matches.length,
+            startAt,
+            maxResults,
+            isLast: startAt + maxResults >= matches.length,
+            scanned: testCases.length
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `searching test cases of ${args.projectKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+const stringOrArray = (description) => ({
+  oneOf: [
+    { type: 'string' },
+    { type: 'array', items: { type: 'string' } }
+  ],
+  description
+});
+
+export const testCaseSearchTools = [
+  {
+    name: 'search_test_cases',
+    readOnly: true,
+    description: 'Search all test cases of a project by text, labels, status, priority, owner, component, creation date and custom field values, then sort and page through the matches',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectKey: {
+          type: 'string',
+          description: 'Jira project key to search',
+          pattern: config.projectKeyPattern.source
+        },
+        folderId: {
+          type: 'integer',
+          description: 'Only search this folder',
+          minimum: 1
+        },
+        folderPath: folderPathProperties.folderPath,
+        recursive: {
+          type: 'boolean',
+          description: 'Also search the subfolders of folderId or folderPath (default: false)',
+          default: false
+        },
+        text: {
+          type: 'string',
+          description: 'Case-insensitive text searched in the name, objective and precondition'
+        },
+        labels: stringOrArray('Labels the test cases must have'),
+        labelsMatch: {
+          type: 'string',
+          description: 'Whether test cases need all the labels or any of them (default: all)',
+          enum: ['all', 'any'],
+          default: 'all'
+        },
+        statusName: stringOrArray('Status name, or names of which any matches (e.g., Approved)'),
+        priorityName: stringOrArray('Priority name, or names of which any matches (e.g., High)'),
+        ownerId: {
+          type: 'string',
+          description: 'Atlassian account ID of the owner'
+        },
+        componentId: {
+          type: 'integer',
+          description: 'Jira component ID',
+          minimum: 1
+        },
+        createdAfter: {
+          type: 'string',
+          description: 'Only test cases created at or after this date (ISO 8601)'
+        },
+        createdBefore: {
+          type: 'string',
+          description: 'Only test cases created before this date (ISO 8601)'
+        },
+        customFields: {
+          type: 'object',
+          description: 'Custom field values to match: text case-insensitively, multi-choice fields must hold every given value, null matches empty fields'
+        },
+        sortBy: {
+          type: 'string',
+          description: 'Sort field (default: key)',
+          enum: SORT_FIELDS,
+          default: 'key'
+        },
+        sortOrder: {
+          type: 'string',
+          description: 'Sort order (default: asc)',
+          enum: ['asc', 'desc'],
+          default: 'asc'
+        },
+        maxResults: {
+          type: 'number',
+          description: 'Maximum number of matches to return (default: 50, max: 1000)',
+          minimum: 1,
+          maximum: config.maxMaxResults,
+          default: config.defaultMaxResults
+        },
+        startAt: {
+          type: 'number',
+          description: 'Index of the first match to return (default: 0)',
+          minimum: 0,
+          default: 0
+        }
+      },
+      required: ['projectKey']
+    },
+    handler: searchTestCases
+  }
+];
+
+export default testCaseSearchTools;
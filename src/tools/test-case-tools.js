@@ -2,20 +2,71 @@
  * MCP Tools for Zephyr Test Case Management
  */
 
-import ZephyrClient from '../zephyr-client.js';
+import { zephyrClient as client } from '../zephyr-client.js';
 import { config } from '../config.js';
 import { formatError } from '../utils/error-handler.js';
+import { getProjectStatuses, getProjectPriorities, findOption, findOptionByName } from '../utils/reference-data.js';
+import { validateCustomFields } from '../utils/custom-fields.js';
+import { isDryRun, dryRunResponse, dryRunProperty } from '../utils/dry-run.js';
+import { captureSnapshot, listSnapshots, loadSnapshot } from '../utils/snapshots.js';
+import { fetchTestCaseState } from '../utils/test-case-state.js';
+import { writeAllTestSteps, toStepInput } from '../utils/test-steps.js';
+import { resolveFolderArgument, folderPathProperties } from '../utils/folders.js';
+import { buildTestCaseUpdate } from '../utils/test-case-update.js';
+import { decodeContinuationToken, cursorPage } from '../utils/cursor.js';
 
-const client = new ZephyrClient();
+/**
+ * Resolves status and priority arguments (name or ID) against the project's reference data
+ */
+async function resolveStatusAndPriority(projectKey, args) {
+  const { statusName, statusId, priorityName, priorityId } = args;
+  const hasStatus = Boolean(statusName || statusId);
+  const hasPriority = Boolean(priorityName || priorityId);
+
+  const [statuses, priorities] = await Promise.all([
+    hasStatus ? getProjectStatuses(client, projectKey, 'TEST_CASE') : [],
+    hasPriority ? getProjectPriorities(client, projectKey) : []
+  ]);
+
+  return {
+    status: hasStatus ? findOption(statuses, statusName, statusId, 'status') : undefined,
+    priority: hasPriority ? findOption(priorities, priorityName, priorityId, 'priority') : undefined
+  };
+}
+
+/**
+ * Lists a page of test cases through the cursor-based endpoint, continuing from a continuation token
+ * issued for the same filters
+ */
+async function listTestCasesByCursor(args, folderId) {
+  const filters = { projectKey: args.projectKey, folderId };
+  const startAtId = args.continuationToken ? decodeContinuationToken(args.continuationToken, filters) : 0;
+
+  const response = await client.getTestCasesNextgen({
+    ...filters,
+    limit: args.maxResults || config.defaultMaxResults,
+    startAtId
+  });
+
+  return {
+    testCases: response.values || [],
+    ...cursorPage(response, filters)
+  };
+}
 
 /**
  * Lists test cases with optional filtering
  */
 async function listTestCases(args) {
   try {
+    const { folderId } = await resolveFolderArgument(args.projectKey, 'TEST_CASE', {
+      folderId: args.folderId,
+      folderPath: args.folderPath
+    });
+
     const params = {
       projectKey: args.projectKey,
-      folderId: args.folderId,
+      folderId,
       maxResults: args.maxResults || config.defaultMaxResults,
       startAt: args.startAt || 0
     };
@@ -30,6 +81,21 @@ async function listTestCases(args) {
       throw new Error('Invalid folderId format. Must be a positive integer.');
     }
 
+    if (args.paging === 'cursor' || args.continuationToken) {
+      if (args.startAt) {
+        throw new Error('startAt cannot be combined with cursor paging, pass the continuationToken of the previous page instead');
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await listTestCasesByCursor(args, folderId), null, 2)
+          }
+        ]
+      };
+    }
+
     const response = await client.getTestCases(params);
 
     return {
@@ -104,12 +170,12 @@ async function createTestCase(args) {
       name,
       projectKey,
       description,
-      folderId,
       component,
       labels,
       objective,
       precondition,
-      estimatedTime
+      estimatedTime,
+      customFields
     } = args;
 
     if (!name) {
@@ -124,18 +190,28 @@ async function createTestCase(args) {
       throw new Error('Invalid projectKey format. Must match pattern: [A-Z][A-Z_0-9]+');
     }
 
+    // Validate custom fields before any request is made
+    const validatedCustomFields = validateCustomFields(projectKey, 'TEST_CASE', customFields);
+    const { status, priority } = await resolveStatusAndPriority(projectKey, args);
+    const { folderId, createdFolders, requests: folderRequests } = await resolveFolderArgument(
+      projectKey, 'TEST_CASE', args, { dryRun: isDryRun(args) }
+    );
+
     const testCaseData = {
       name,
       projectKey
     };
 
     // Optional fields
+    if (status) testCaseData.statusName = status.name;
+    if (priority) testCaseData.priorityName = priority.name;
     if (description) testCaseData.description = description;
     if (component) testCaseData.component = component;
     if (labels) testCaseData.labels = Array.isArray(labels) ? labels : [labels];
     if (objective) testCaseData.objective = objective;
     if (precondition) testCaseData.precondition = precondition;
     if (estimatedTime) testCaseData.estimatedTime = estimatedTime * 60000; // Convert minutes to milliseconds
+    if (Object.keys(validatedCustomFields).length > 0) testCaseData.customFields = validatedCustomFields;
     if (folderId) {
       if (typeof folderId === 'string') {
         if (!config.folderIdPattern.test(folderId)) {
@@ -147,6 +223,15 @@ async function createTestCase(args) {
       }
     }
 
+    if (isDryRun(args)) {
+      return dryRunResponse({
+        description: `Would create test case "${name}" in ${projectKey}`,
+        write: () => client.createTestCase(testCaseData),
+        payload: testCaseData,
+        requests: folderRequests
+      });
+    }
+
     const result = await client.createTestCase(testCaseData);
 
     return {
@@ -155,7 +240,8 @@ async function createTestCase(args) {
           type: 'text',
           text: JSON.stringify({
             message: 'Test case created successfully',
-            testCase: result
+            testCase: result,
+            ...(createdFolders.length > 0 && { createdFolders })
           }, null, 2)
         }
       ]
@@ -182,12 +268,12 @@ async function updateTestCase(args) {
       testCaseKey,
       name,
       description,
-      folderId,
       component,
       labels,
       objective,
       precondition,
-      estimatedTime
+      estimatedTime,
+      customFields
     } = args;
 
     if (!testCaseKey) {
@@ -198,37 +284,45 @@ async function updateTestCase(args) {
       throw new Error('Invalid testCaseKey format. Must match pattern: [A-Z]+-T[0-9]+');
     }
 
-    const currentTestCase = await client.getTestCase(testCaseKey);
+    const projectKey = testCaseKey.replace(/-T[0-9]+$/, '');
+    const [currentTestCase, { status, priority }] = await Promise.all([
+      client.getTestCase(testCaseKey),
+      resolveStatusAndPriority(projectKey, args)
+    ]);
+    const { folderId, createdFolders, requests: folderRequests } = await resolveFolderArgument(
+      projectKey, 'TEST_CASE', args, { dryRun: isDryRun(args) }
+    );
     const testCaseData = {
-      id: currentTestCase.id,
-      key: testCaseKey,
-      name: name !== undefined ? name : currentTestCase.name,
-      project: {
-        id: currentTestCase.project.id
-      },
-      status: {
-        id: currentTestCase.status.id
-      },
-      priority: {
-        id: currentTestCase.priority.id
-      },
-      folder: {
-        id: folderId !== undefined ? folderId : currentTestCase.folder.id
-      },
-      objective: objective !== undefined ? objective : currentTestCase.objective,
-      precondition: precondition !== undefined ? precondition : currentTestCase.precondition,
-      estimatedTime: estimatedTime !== undefined
-        ? estimatedTime * 60000 // Convert minutes to milliseconds
-        : currentTestCase.estimatedTime,
-      labels: labels !== undefined
-        ? (Array.isArray(labels) ? labels : [labels])
-        : currentTestCase.labels || [],
-      description: description !== undefined ? description : currentTestCase.description,
-      component: component !== undefined ? component : currentTestCase.component,
-      owner: currentTestCase.owner,
-      customFields: currentTestCase.customFields || {}
+      ...buildTestCaseUpdate(currentTestCase, {
+        name,
+        objective,
+        precondition,
+        // Minutes to milliseconds
+        estimatedTime: estimatedTime !== undefined ? estimatedTime * 60000 : undefined,
+        labels: labels !== undefined ? (Array.isArray(labels) ? labels : [labels]) : undefined,
+        statusId: status?.id,
+        priorityId: priority?.id,
+        folderId,
+        componentId: component,
+        // Existing values are kept as the API clears custom fields missing from the PUT
+        customFields: validateCustomFields(projectKey, 'TEST_CASE', customFields, {
+          existing: currentTestCase.customFields || {}
+        })
+      }),
+      description: description !== undefined ? description : currentTestCase.description
     };
-    
+
+    if (isDryRun(args)) {
+      return dryRunResponse({
+        description: `Would update test case ${testCaseKey}`,
+        write: () => client.updateTestCase(testCaseKey, testCaseData),
+        current: currentTestCase,
+        payload: testCaseData,
+        requests: folderRequests
+      });
+    }
+
+    const snapshot = await captureSnapshot(testCaseKey, { testCase: currentTestCase });
     const result = await client.updateTestCase(testCaseKey, testCaseData);
 
     return {
@@ -237,7 +331,9 @@ async function updateTestCase(args) {
           type: 'text',
           text: JSON.stringify({
             message: 'Test case updated successfully',
-            testCase: result
+            testCase: result,
+            snapshotId: snapshot.id,
+            ...(createdFolders.length > 0 && { createdFolders })
           }, null, 2)
         }
       ]
@@ -255,10 +351,352 @@ async function updateTestCase(args) {
   }
 }
 
+/**
+ * Lists the local snapshots of a test case, taken before each change made through this server
+ */
+async function listTestCaseSnapshots(args) {
+  try {
+    const { testCaseKey } = args;
+
+    if (!testCaseKey) {
+      throw new Error('testCaseKey is required');
+    }
+
+    if (!config.testCaseKeyPattern.test(testCaseKey)) {
+      throw new Error('Invalid testCaseKey format. Must match pattern: [A-Z]+-T[0-9]+');
+    }
+
+    const snapshots = await listSnapshots(testCaseKey);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            testCaseKey,
+            snapshots,
+            total: snapshots.length
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `listing snapshots of ${args.testCaseKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Restores a test case, with its steps or script, from a local snapshot or a Zephyr version
+ */
+async function restoreTestCase(args) {
+  try {
+    const { testCaseKey, snapshotId, version } = args;
+
+    if (!testCaseKey) {
+      throw new Error('testCaseKey is required');
+    }
+
+    if (!config.testCaseKeyPattern.test(testCaseKey)) {
+      throw new Error('Invalid testCaseKey format. Must match pattern: [A-Z]+-T[0-9]+');
+    }
+
+    if (snapshotId && version !== undefined) {
+      throw new Error('snapshotId and version are mutually exclusive');
+    }
+
+    if (!snapshotId && version === undefined) {
+      throw new Error('Either snapshotId or version must be provided');
+    }
+
+    if (version !== undefined && (!Number.isInteger(version) || version < 1)) {
+      throw new Error('Invalid version. Must be a positive integer.');
+    }
+
+    const [target, current] = await Promise.all([
+      snapshotId ? loadSnapshot(testCaseKey, snapshotId) : fetchTestCaseState(testCaseKey, { version }),
+      fetchTestCaseState(testCaseKey)
+    ]);
+
+    // Fields missing from the source are cleared, the source replaces the whole test case
+    const source = target.testCase;
+    const testCaseData = buildTestCaseUpdate(current.testCase, {
+      name: source.name,
+      objective: source.objective ?? null,
+      precondition: source.precondition ?? null,
+      estimatedTime: source.estimatedTime ?? null,
+      labels: source.labels || [],
+      statusId: source.status?.id ?? null,
+      priorityId: source.priority?.id ?? null,
+      folderId: source.folder?.id ?? null,
+      componentId: source.component?.id ?? null,
+      ownerId: source.owner?.accountId ?? null,
+      customFields: source.customFields || {}
+    });
+    const testSteps = target.testSteps.map(toStepInput);
+    const testScript = target.testScript
+      ? { type: target.testScript.type, text: target.testScript.text }
+      : null;
+
+    // Steps and scripts are mutually exclusive, writing one removes the other
+    const write = async () => {
+      const result = await client.updateTestCase(testCaseKey, testCaseData);
+      if (testSteps.length > 0) {
+        await writeAllTestSteps(testCaseKey, testSteps);
+      } else if (testScript) {
+        await client.createTestScript(testCaseKey, testScript);
+      }
+      return result;
+    };
+
+    const restoredFrom = snapshotId ? { snapshotId } : { version };
+
+    if (isDryRun(args)) {
+      return dryRunResponse({
+        description: `Would restore test case ${testCaseKey} from ${snapshotId ? `snapshot ${snapshotId}` : `version ${version}`}`,
+        write,
+        current: {
+          testCase: current.testCase,
+          testSteps: current.testSteps.map(toStepInput),
+          testScript: current.testScript ? { type: current.testScript.type, text: current.testScript.text } : null
+        },
+        payload: { testCase: testCaseData, testSteps, testScript }
+      });
+    }
+
+    const snapshot = await captureSnapshot(testCaseKey, { state: current });
+    const result = await write();
+
+    const response = {
+      message: `Test case ${testCaseKey} restored successfully`,
+      restoredFrom,
+      testCase: result,
+      stepsRestored: testSteps.length,
+      testScriptRestored: testSteps.length === 0 && Boolean(testScript),
+      snapshotId: snapshot.id,
+      note: `The state before the restore was saved as snapshot ${snapshot.id}`
+    };
+
+    if (testSteps.length === 0 && !testScript && (current.testSteps.length > 0 || current.testScript)) {
+      response.warning = 'The restored state had neither steps nor a script; the current ones were kept';
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(response, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `restoring test case ${args.testCaseKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Finds the option of the target project named like an option of the source project.
+ * Returns its name, or null with a warning when the target project has no such option.
+ */
+function mapOptionName(sourceOptions, targetOptions, reference, label, warnings) {
+  const source = sourceOptions.find(option => option.id === reference?.id);
+  if (!source) {
+    return null;
+  }
+
+  try {
+    return findOptionByName(targetOptions, source.name, label).name;
+  } catch {
+    warnings.push(`The target project has no ${label} "${source.name}", its default ${label} was used`);
+    return null;
+  }
+}
+
+/**
+ * Clones a test case, with its steps or script and optionally its links, into a folder or project
+ */
+async function cloneTestCase(args) {
+  try {
+    const { testCaseKey, namePrefix = '', nameSuffix = '', includeLinks } = args;
+
+    if (!testCaseKey) {
+      throw new Error('testCaseKey is required');
+    }
+
+    if (!config.testCaseKeyPattern.test(testCaseKey)) {
+      throw new Error('Invalid testCaseKey format. Must match pattern: [A-Z]+-T[0-9]+');
+    }
+
+    const sourceProjectKey = testCaseKey.replace(/-T[0-9]+$/, '');
+    const targetProjectKey = args.targetProjectKey || sourceProjectKey;
+    const sameProject = targetProjectKey === sourceProjectKey;
+
+    if (!config.projectKeyPattern.test(targetProjectKey)) {
+      throw new Error('Invalid targetProjectKey format. Must match pattern: [A-Z][A-Z_0-9]+');
+    }
+
+    const [source, links, sourceStatuses, sourcePriorities, targetStatuses, targetPriorities] = await Promise.all([
+      fetchTestCaseState(testCaseKey),
+      includeLinks ? client.getTestCaseLinks(testCaseKey) : null,
+      getProjectStatuses(client, sourceProjectKey, 'TEST_CASE'),
+      getProjectPriorities(client, sourceProjectKey),
+      sameProject ? null : getProjectStatuses(client, targetProjectKey, 'TEST_CASE'),
+      sameProject ? null : getProjectPriorities(client, targetProjectKey)
+    ]);
+    const { folderId, createdFolders, requests: folderRequests } = await resolveFolderArgument(
+      targetProjectKey, 'TEST_CASE', args, { dryRun: isDryRun(args) }
+    );
+
+    const { testCase } = source;
+    const warnings = [];
+    const testCaseData = {
+      name: `${namePrefix}${testCase.name}${nameSuffix}`,
+      projectKey: targetProjectKey
+    };
+
+    const statusName = mapOptionName(sourceStatuses, targetStatuses || sourceStatuses, testCase.status, 'status', warnings);
+    const priorityName = mapOptionName(sourcePriorities, targetPriorities || sourcePriorities, testCase.priority, 'priority', warnings);
+    // Without a target folder, clones within the project stay next to the original
+    const selectedFolderId = folderId !== undefined ? folderId : (sameProject ? testCase.folder?.id : undefined);
+
+    if (statusName) testCaseData.statusName = statusName;
+    if (priorityName) testCaseData.priorityName = priorityName;
+    if (testCase.objective) testCaseData.objective = testCase.objective;
+    if (testCase.precondition) testCaseData.precondition = testCase.precondition;
+    if (testCase.estimatedTime) testCaseData.estimatedTime = testCase.estimatedTime;
+    if (testCase.labels?.length > 0) testCaseData.labels = testCase.labels;
+    if (testCase.owner?.accountId) testCaseData.ownerId = testCase.owner.accountId;
+    if (selectedFolderId) testCaseData.folderId = selectedFolderId;
+
+    // Jira components belong to the source project
+    if (testCase.component?.id) {
+      if (sameProject) {
+        testCaseData.componentId = testCase.component.id;
+      } else {
+        warnings.push('The component was not copied, Jira components belong to the source project');
+      }
+    }
+
+    const customFields = Object.fromEntries(
+      Object.entries(testCase.customFields || {}).filter(([, value]) => value !== null)
+    );
+    if (Object.keys(customFields).length > 0) {
+      testCaseData.customFields = sameProject
+        ? customFields
+        : validateCustomFields(targetProjectKey, 'TEST_CASE', customFields);
+    }
+
+    const testSteps = source.testSteps.map(toStepInput);
+    const testScript = source.testScript
+      ? { type: source.testScript.type, text: source.testScript.text }
+      : null;
+    const issueLinks = (links?.issues || []).map(issue => ({ issueId: issue.issueId }));
+    const webLinks = (links?.webLinks || []).map(({ url, description }) => (description ? { url, description } : { url }));
+
+    let clone = null;
+    const copyContent = async () => {
+      // Dry runs create nothing, so the next requests name a placeholder
+      const key = clone?.key || `${targetProjectKey}-T<new>`;
+      if (testSteps.length > 0) {
+        await writeAllTestSteps(key, testSteps);
+      } else if (testScript) {
+        await client.createTestScript(key, testScript);
+      }
+      for (const link of issueLinks) {
+        await client.createTestCaseIssueLink(key, link);
+      }
+      for (const link of webLinks) {
+        await client.createTestCaseWebLink(key, link);
+      }
+    };
+
+    if (isDryRun(args)) {
+      return dryRunResponse({
+        description: `Would clone test case ${testCaseKey} into ${targetProjectKey}`,
+        write: async () => {
+          await client.createTestCase(testCaseData);
+          await copyContent();
+        },
+        payload: testCaseData,
+        requests: folderRequests
+      });
+    }
+
+    clone = await client.createTestCase(testCaseData);
+
+    const copied = {
+      stepsCopied: testSteps.length,
+      testScriptCopied: testSteps.length === 0 && Boolean(testScript),
+      ...(includeLinks && { issueLinksCopied: issueLinks.length, webLinksCopied: webLinks.length })
+    };
+
+    try {
+      await copyContent();
+    } catch (error) {
+      // The clone exists: report its key so it can be completed or deleted
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              message: `Test case ${testCaseKey} was cloned to ${clone.key}, but copying its steps, script or links failed`,
+              key: clone.key,
+              error: formatError(error, `copying the content of ${testCaseKey} to ${clone.key}`)
+            }, null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            message: `Test case ${testCaseKey} cloned to ${clone.key}`,
+            key: clone.key,
+            testCase: clone,
+            ...copied,
+            ...(warnings.length > 0 && { warnings }),
+            ...(createdFolders.length > 0 && { createdFolders })
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `cloning test case ${args.testCaseKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
 export const testCaseTools = [
   {
     name: 'list_test_cases',
-    description: 'List test cases with optional filtering by project and folder',
+    readOnly: true,
+    description: 'List test cases with optional filtering by project and folder, with offset or cursor paging',
     inputSchema: {
       type: 'object',
       properties: {
@@ -272,6 +710,7 @@ export const testCaseTools = [
           description: 'Folder ID to filter test cases',
           minimum: 1
         },
+        folderPath: folderPathProperties.folderPath,
         maxResults: {
           type: 'number',
           description: 'Maximum number of results to return (default: 50, max: 1000)',
@@ -281,9 +720,19 @@ export const testCaseTools = [
         },
         startAt: {
           type: 'number',
-          description: 'Starting position for pagination (default: 0)',
+          description: 'Starting position for offset paging (default: 0)',
           minimum: 0,
           default: 0
+        },
+        paging: {
+          type: 'string',
+          description: 'Offset paging with startAt and a total, or cursor paging with a continuationToken, faster on large projects and stable when test cases change mid-scan (default: offset)',
+          enum: ['offset', 'cursor'],
+          default: 'offset'
+        },
+        continuationToken: {
+          type: 'string',
+          description: 'Token returned by the previous cursor-paged call, to fetch the next page with the same filters (implies cursor paging)'
         }
       }
     },
@@ -291,6 +740,7 @@ export const testCaseTools = [
   },
   {
     name: 'get_test_case',
+    readOnly: true,
     description: 'Get detailed information about a specific test case',
     inputSchema: {
       type: 'object',
@@ -331,11 +781,30 @@ export const testCaseTools = [
           description: 'Folder ID where the test case will be created',
           minimum: 1
         },
+        ...folderPathProperties,
         component: {
           type: 'integer',
           description: 'Component ID for the test case',
           minimum: 1
         },
+        statusName: {
+          type: 'string',
+          description: 'Status name (e.g., Draft, Approved), case-insensitive'
+        },
+        statusId: {
+          type: 'integer',
+          description: 'Status ID (alternative to statusName)',
+          minimum: 1
+        },
+        priorityName: {
+          type: 'string',
+          description: 'Priority name (e.g., High, Normal, Low), case-insensitive'
+        },
+        priorityId: {
+          type: 'integer',
+          description: 'Priority ID (alternative to priorityName)',
+          minimum: 1
+        },
         labels: {
           oneOf: [
             { type: 'string' },
@@ -355,7 +824,12 @@ export const testCaseTools = [
           type: 'integer',
           description: 'Estimated time in minutes (will be converted to milliseconds)',
           minimum: 0
-        }
+        },
+        customFields: {
+          type: 'object',
+          description: 'Custom field values keyed by field name (e.g., {"Risk": "High"}); dates as yyyy-MM-dd, users as account IDs'
+        },
+        dryRun: dryRunProperty
       },
       required: ['name', 'projectKey']
     },
@@ -387,11 +861,30 @@ export const testCaseTools = [
           description: 'Updated folder ID',
           minimum: 1
         },
+        ...folderPathProperties,
         component: {
           type: 'integer',
           description: 'Updated component ID',
           minimum: 1
         },
+        statusName: {
+          type: 'string',
+          description: 'Updated status name (e.g., Draft, Approved), case-insensitive'
+        },
+        statusId: {
+          type: 'integer',
+          description: 'Updated status ID (alternative to statusName)',
+          minimum: 1
+        },
+        priorityName: {
+          type: 'string',
+          description: 'Updated priority name (e.g., High, Normal, Low), case-insensitive'
+        },
+        priorityId: {
+          type: 'integer',
+          description: 'Updated priority ID (alternative to priorityName)',
+          minimum: 1
+        },
         labels: {
           oneOf: [
             { type: 'string' },
@@ -411,11 +904,100 @@ export const testCaseTools = [
           type: 'integer',
           description: 'Updated estimated time in minutes (will be converted to milliseconds)',
           minimum: 0
-        }
+        },
+        customFields: {
+          type: 'object',
+          description: 'Custom field values to change, keyed by field name; other custom fields keep their values, null clears a field'
+        },
+        dryRun: dryRunProperty
       },
       required: ['testCaseKey']
     },
     handler: updateTestCase
+  },
+  {
+    name: 'list_test_case_snapshots',
+    readOnly: true,
+    description: 'List the local snapshots of a test case, taken before each change made through this server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testCaseKey: {
+          type: 'string',
+          description: 'Test case key (format: [A-Z]+-T[0-9]+)',
+          pattern: config.testCaseKeyPattern.source
+        }
+      },
+      required: ['testCaseKey']
+    },
+    handler: listTestCaseSnapshots
+  },
+  {
+    name: 'restore_test_case',
+    description: 'Restore a test case, including its steps or script, from a local snapshot or a Zephyr version',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testCaseKey: {
+          type: 'string',
+          description: 'Test case key (format: [A-Z]+-T[0-9]+)',
+          pattern: config.testCaseKeyPattern.source
+        },
+        snapshotId: {
+          type: 'string',
+          description: 'ID of the local snapshot to restore (see list_test_case_snapshots)'
+        },
+        version: {
+          type: 'integer',
+          description: 'Zephyr version number to restore (alternative to snapshotId)',
+          minimum: 1
+        },
+        dryRun: dryRunProperty
+      },
+      required: ['testCaseKey']
+    },
+    handler: restoreTestCase
+  },
+  {
+    name: 'clone_test_case',
+    description: 'Copy a test case with its fields, labels, custom fields, steps or script, and optionally its issue and web links, into a folder or another project. Returns the new key',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testCaseKey: {
+          type: 'string',
+          description: 'Test case key to clone (format: [A-Z]+-T[0-9]+)',
+          pattern: config.testCaseKeyPattern.source
+        },
+        targetProjectKey: {
+          type: 'string',
+          description: 'Jira project key to clone into (default: the project of the test case)',
+          pattern: config.projectKeyPattern.source
+        },
+        folderId: {
+          type: 'integer',
+          description: 'Target folder ID (default: the folder of the test case within the same project, the root folder in another project)',
+          minimum: 1
+        },
+        ...folderPathProperties,
+        namePrefix: {
+          type: 'string',
+          description: 'Text added before the name of the clone, e.g. "[Mobile] "'
+        },
+        nameSuffix: {
+          type: 'string',
+          description: 'Text added after the name of the clone, e.g. " (copy)"'
+        },
+        includeLinks: {
+          type: 'boolean',
+          description: 'Also copy the Jira issue and web links (default: false)',
+          default: false
+        },
+        dryRun: dryRunProperty
+      },
+      required: ['testCaseKey']
+    },
+    handler: cloneTestCase
   }
 ];
 
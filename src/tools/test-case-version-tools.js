@@ -0,0 +1,285 @@
+/**
+ * MCP Tools for Zephyr Test Case Version History
+ */
+
+import { zephyrClient as client } from '../zephyr-client.js';
+import { config } from '../config.js';
+import { formatError } from '../utils/error-handler.js';
+import { getProjectStatuses, getProjectPriorities } from '../utils/reference-data.js';
+import { fetchTestCaseState } from '../utils/test-case-state.js';
+import { summarizeStep } from '../utils/test-steps.js';
+import { diffTestCaseStates } from '../utils/test-case-diff.js';
+
+/**
+ * Validates a test case key argument
+ */
+function validateTestCaseKey(testCaseKey) {
+  if (!testCaseKey) {
+    throw new Error('testCaseKey is required');
+  }
+
+  if (!config.testCaseKeyPattern.test(testCaseKey)) {
+    throw new Error('Invalid testCaseKey format. Must match pattern: [A-Z]+-T[0-9]+');
+  }
+}
+
+/**
+ * Validates an optional version number argument
+ */
+function validateVersion(version, name) {
+  if (version !== undefined && (!Number.isInteger(version) || version < 1)) {
+    throw new Error(`Invalid ${name}. Must be a positive integer.`);
+  }
+}
+
+/**
+ * Lists the versions of a test case, most recent first
+ */
+async function listTestCaseVersions(args) {
+  try {
+    const { testCaseKey } = args;
+    validateTestCaseKey(testCaseKey);
+
+    const params = {
+      maxResults: args.maxResults || config.defaultMaxResults,
+      startAt: args.startAt || 0
+    };
+
+    const response = await client.getTestCaseVersions(testCaseKey, params);
+
+    // The version number is only part of the version link
+    const versions = (response.values || []).map(version => ({
+      version: Number(version.self?.match(/\/versions\/([0-9]+)/)?.[1]) || null,
+      ...version
+    }));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            testCaseKey,
+            versions,
+            total: response.total ?? versions.length,
+            startAt: response.startAt || 0,
+            maxResults: response.maxResults || params.maxResults
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `fetching versions of ${args.testCaseKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Gets a specific version of a test case with its steps or script
+ */
+async function getTestCaseVersion(args) {
+  try {
+    const { testCaseKey, version } = args;
+    validateTestCaseKey(testCaseKey);
+
+    if (version === undefined) {
+      throw new Error('version is required');
+    }
+    validateVersion(version, 'version');
+
+    const state = await fetchTestCaseState(testCaseKey, { version });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            testCaseKey,
+            version,
+            testCase: state.testCase,
+            testSteps: state.testSteps.map(summarizeStep),
+            testScript: state.testScript
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `fetching version ${args.version} of ${args.testCaseKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Adds the status and priority names to their changes, as IDs mean little to reviewers
+ */
+async function describeReferenceChanges(projectKey, fieldChanges) {
+  const needsStatuses = fieldChanges.some(change => change.field === 'status');
+  const needsPriorities = fieldChanges.some(change => change.field === 'priority');
+
+  const [statuses, priorities] = await Promise.all([
+    needsStatuses ? getProjectStatuses(client, projectKey, 'TEST_CASE') : [],
+    needsPriorities ? getProjectPriorities(client, projectKey) : []
+  ]);
+
+  const nameOf = (options, id) => options.find(option => option.id === id)?.name ?? null;
+
+  return fieldChanges.map(change => {
+    if (change.field === 'status') {
+      return { ...change, beforeName: nameOf(statuses, change.before), afterName: nameOf(statuses, change.after) };
+    }
+    if (change.field === 'priority') {
+      return { ...change, beforeName: nameOf(priorities, change.before), afterName: nameOf(priorities, change.after) };
+    }
+    return change;
+  });
+}
+
+/**
+ * Diffs two versions of a test case, or a version and the current state
+ */
+async function diffTestCaseVersions(args) {
+  try {
+    const { testCaseKey, fromVersion, toVersion } = args;
+    validateTestCaseKey(testCaseKey);
+
+    if (fromVersion === undefined) {
+      throw new Error('fromVersion is required');
+    }
+    validateVersion(fromVersion, 'fromVersion');
+    validateVersion(toVersion, 'toVersion');
+
+    const [from, to] = await Promise.all([
+      fetchTestCaseState(testCaseKey, { version: fromVersion }),
+      fetchTestCaseState(testCaseKey, { version: toVersion })
+    ]);
+
+    const diff = diffTestCaseStates(from, to);
+    const projectKey = testCaseKey.replace(/-T[0-9]+$/, '');
+    const fields = await describeReferenceChanges(projectKey, diff.fields);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            testCaseKey,
+            from: `version ${fromVersion}`,
+            to: toVersion !== undefined ? `version ${toVersion}` : 'current',
+            identical: fields.length === 0 && diff.steps.length === 0 && diff.script.length === 0,
+            fields,
+            steps: diff.steps,
+            script: diff.script,
+            note: 'Removed items are numbered as in the older state, added and changed items as in the newer one'
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `comparing versions of ${args.testCaseKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+export const testCaseVersionTools = [
+  {
+    name: 'list_test_case_versions',
+    readOnly: true,
+    description: 'List the versions of a test case, most recent first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testCaseKey: {
+          type: 'string',
+          description: 'Test case key (format: [A-Z]+-T[0-9]+)',
+          pattern: config.testCaseKeyPattern.source
+        },
+        maxResults: {
+          type: 'number',
+          description: 'Maximum number of versions to return (default: 50, max: 1000)',
+          minimum: 1,
+          maximum: config.maxMaxResults,
+          default: config.defaultMaxResults
+        },
+        startAt: {
+          type: 'number',
+          description: 'Starting position for pagination (default: 0)',
+          minimum: 0,
+          default: 0
+        }
+      },
+      required: ['testCaseKey']
+    },
+    handler: listTestCaseVersions
+  },
+  {
+    name: 'get_test_case_version',
+    readOnly: true,
+    description: 'Get a specific version of a test case with its steps or script',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testCaseKey: {
+          type: 'string',
+          description: 'Test case key (format: [A-Z]+-T[0-9]+)',
+          pattern: config.testCaseKeyPattern.source
+        },
+        version: {
+          type: 'integer',
+          description: 'Version number',
+          minimum: 1
+        }
+      },
+      required: ['testCaseKey', 'version']
+    },
+    handler: getTestCaseVersion
+  },
+  {
+    name: 'diff_test_case_versions',
+    readOnly: true,
+    description: 'Compare two versions of a test case, or a version and the current state, field by field and step by step',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testCaseKey: {
+          type: 'string',
+          description: 'Test case key (format: [A-Z]+-T[0-9]+)',
+          pattern: config.testCaseKeyPattern.source
+        },
+        fromVersion: {
+          type: 'integer',
+          description: 'Older version number',
+          minimum: 1
+        },
+        toVersion: {
+          type: 'integer',
+          description: 'Newer version number (default: the current state)',
+          minimum: 1
+        }
+      },
+      required: ['testCaseKey', 'fromVersion']
+    },
+    handler: diffTestCaseVersions
+  }
+];
+
+export default testCaseVersionTools;
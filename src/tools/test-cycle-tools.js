@@ -0,0 +1,442 @@
+/**
+ * MCP Tools for Zephyr Test Cycle Management
+ */
+
+import { zephyrClient as client } from '../zephyr-client.js';
+import { config } from '../config.js';
+import { formatError } from '../utils/error-handler.js';
+import { resolveFolderArgument, folderPathProperties } from '../utils/folders.js';
+
+/**
+ * Lists test cycles with optional filtering
+ */
+async function listTestCycles(args) {
+  try {
+    const { folderId } = await resolveFolderArgument(args.projectKey, 'TEST_CYCLE', {
+      folderId: args.folderId,
+      folderPath: args.folderPath
+    });
+
+    const params = {
+      projectKey: args.projectKey,
+      folderId,
+      jiraProjectVersionId: args.jiraProjectVersionId,
+      maxResults: args.maxResults || config.defaultMaxResults,
+      startAt: args.startAt || 0
+    };
+
+    // Validate projectKey if provided
+    if (params.projectKey && !config.projectKeyPattern.test(params.projectKey)) {
+      throw new Error('Invalid projectKey format. Must match pattern: [A-Z][A-Z_0-9]+');
+    }
+
+    // Validate folderId if provided
+    if (params.folderId && (!Number.isInteger(params.folderId) || params.folderId < 1)) {
+      throw new Error('Invalid folderId format. Must be a positive integer.');
+    }
+
+    // Validate jiraProjectVersionId if provided
+    if (params.jiraProjectVersionId && (!Number.isInteger(params.jiraProjectVersionId) || params.jiraProjectVersionId < 1)) {
+      throw new Error('Invalid jiraProjectVersionId format. Must be a positive integer.');
+    }
+
+    const response = await client.getTestCycles(params);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            testCycles: response.values || response,
+            total: response.total || response.length,
+            startAt: response.startAt || 0,
+            maxResults: response.maxResults || params.maxResults
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, 'fetching test cycles')
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Gets detailed information about a specific test cycle
+ */
+async function getTestCycle(args) {
+  try {
+    const { testCycleKey } = args;
+    if (!testCycleKey) {
+      throw new Error('testCycleKey is required');
+    }
+
+    if (!config.testCycleKeyPattern.test(testCycleKey)) {
+      throw new Error('Invalid testCycleKey format. Must be a numeric ID or match pattern: [A-Z]+-R[0-9]+');
+    }
+
+    const testCycle = await client.getTestCycle(testCycleKey);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(testCycle, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `fetching test cycle ${args.testCycleKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Creates a new test cycle
+ */
+async function createTestCycle(args) {
+  try {
+    const {
+      name,
+      projectKey,
+      description,
+      jiraProjectVersion,
+      statusName,
+      plannedStartDate,
+      plannedEndDate,
+      ownerId
+    } = args;
+
+    if (!name) {
+      throw new Error('name is required');
+    }
+
+    if (!projectKey) {
+      throw new Error('projectKey is required');
+    }
+
+    if (!config.projectKeyPattern.test(projectKey)) {
+      throw new Error('Invalid projectKey format. Must match pattern: [A-Z][A-Z_0-9]+');
+    }
+
+    const { folderId, createdFolders } = await resolveFolderArgument(projectKey, 'TEST_CYCLE', args);
+
+    const testCycleData = {
+      name,
+      projectKey
+    };
+
+    // Optional fields
+    if (description) testCycleData.description = description;
+    if (jiraProjectVersion) testCycleData.jiraProjectVersion = jiraProjectVersion;
+    if (statusName) testCycleData.statusName = statusName;
+    if (plannedStartDate) testCycleData.plannedStartDate = plannedStartDate;
+    if (plannedEndDate) testCycleData.plannedEndDate = plannedEndDate;
+    if (ownerId) testCycleData.ownerId = ownerId;
+    if (folderId) {
+      if (typeof folderId === 'string') {
+        if (!config.folderIdPattern.test(folderId)) {
+          throw new Error('Invalid folderId format. Must be a numeric ID.');
+        }
+        testCycleData.folderId = parseInt(folderId);
+      } else {
+        testCycleData.folderId = folderId;
+      }
+    }
+
+    const result = await client.createTestCycle(testCycleData);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            message: 'Test cycle created successfully',
+            testCycle: result,
+            ...(createdFolders.length > 0 && { createdFolders })
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, 'creating test cycle')
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Gets the project key of a test cycle, from its key or, for numeric IDs, from its project
+ */
+async function getTestCycleProjectKey(testCycleKey, testCycle) {
+  const match = String(testCycleKey).match(/^(.+)-R[0-9]+$/);
+  if (match) {
+    return match[1];
+  }
+
+  const project = await client.getProject(testCycle.project.id);
+  return project.key;
+}
+
+/**
+ * Updates an existing test cycle
+ */
+async function updateTestCycle(args) {
+  try {
+    const {
+      testCycleKey,
+      name,
+      description,
+      jiraProjectVersion,
+      plannedStartDate,
+      plannedEndDate
+    } = args;
+
+    if (!testCycleKey) {
+      throw new Error('testCycleKey is required');
+    }
+
+    if (!config.testCycleKeyPattern.test(testCycleKey)) {
+      throw new Error('Invalid testCycleKey format. Must be a numeric ID or match pattern: [A-Z]+-R[0-9]+');
+    }
+
+    // The API clears every field left out of the PUT, so start from the current state
+    const currentTestCycle = await client.getTestCycle(testCycleKey);
+    const { folderId, createdFolders } = await resolveFolderArgument(
+      await getTestCycleProjectKey(testCycleKey, currentTestCycle), 'TEST_CYCLE', args
+    );
+    const testCycleData = {
+      id: currentTestCycle.id,
+      key: currentTestCycle.key,
+      name: name !== undefined ? name : currentTestCycle.name,
+      project: {
+        id: currentTestCycle.project.id
+      },
+      status: {
+        id: currentTestCycle.status.id
+      },
+      description: description !== undefined ? description : currentTestCycle.description,
+      plannedStartDate: plannedStartDate !== undefined ? plannedStartDate : currentTestCycle.plannedStartDate,
+      plannedEndDate: plannedEndDate !== undefined ? plannedEndDate : currentTestCycle.plannedEndDate,
+      owner: currentTestCycle.owner,
+      customFields: currentTestCycle.customFields || {}
+    };
+
+    const currentFolderId = currentTestCycle.folder?.id;
+    const selectedFolderId = folderId !== undefined ? folderId : currentFolderId;
+    if (selectedFolderId) {
+      testCycleData.folder = { id: selectedFolderId };
+    }
+
+    const currentVersionId = currentTestCycle.jiraProjectVersion?.id;
+    const selectedVersionId = jiraProjectVersion !== undefined ? jiraProjectVersion : currentVersionId;
+    if (selectedVersionId) {
+      testCycleData.jiraProjectVersion = { id: selectedVersionId };
+    }
+
+    const result = await client.updateTestCycle(testCycleKey, testCycleData);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            message: 'Test cycle updated successfully',
+            testCycle: result,
+            ...(createdFolders.length > 0 && { createdFolders })
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `updating test cycle ${args.testCycleKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+export const testCycleTools = [
+  {
+    name: 'list_test_cycles',
+    readOnly: true,
+    description: 'List test cycles with optional filtering by project, folder and Jira version',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectKey: {
+          type: 'string',
+          description: 'Jira project key to filter test cycles',
+          pattern: config.projectKeyPattern.source
+        },
+        folderId: {
+          type: 'integer',
+          description: 'Folder ID to filter test cycles',
+          minimum: 1
+        },
+        folderPath: folderPathProperties.folderPath,
+        jiraProjectVersionId: {
+          type: 'integer',
+          description: 'Jira project version (release) ID to filter test cycles',
+          minimum: 1
+        },
+        maxResults: {
+          type: 'number',
+          description: 'Maximum number of results to return (default: 50, max: 1000)',
+          minimum: 1,
+          maximum: config.maxMaxResults,
+          default: config.defaultMaxResults
+        },
+        startAt: {
+          type: 'number',
+          description: 'Starting position for pagination (default: 0)',
+          minimum: 0,
+          default: 0
+        }
+      }
+    },
+    handler: listTestCycles
+  },
+  {
+    name: 'get_test_cycle',
+    readOnly: true,
+    description: 'Get detailed information about a specific test cycle',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testCycleKey: {
+          type: 'string',
+          description: 'Test cycle ID or key to retrieve (format: [A-Z]+-R[0-9]+)',
+          pattern: config.testCycleKeyPattern.source
+        }
+      },
+      required: ['testCycleKey']
+    },
+    handler: getTestCycle
+  },
+  {
+    name: 'create_test_cycle',
+    description: 'Create a new test cycle',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Name of the test cycle',
+          minLength: 1,
+          maxLength: 255
+        },
+        projectKey: {
+          type: 'string',
+          description: 'Jira project key where the test cycle will be created',
+          pattern: config.projectKeyPattern.source
+        },
+        description: {
+          type: 'string',
+          description: 'Description of the test cycle'
+        },
+        folderId: {
+          type: 'integer',
+          description: 'Folder ID where the test cycle will be created',
+          minimum: 1
+        },
+        ...folderPathProperties,
+        jiraProjectVersion: {
+          type: 'integer',
+          description: 'Jira project version (release) ID',
+          minimum: 1
+        },
+        statusName: {
+          type: 'string',
+          description: 'Status name (e.g., Not Executed, In Progress, Done)'
+        },
+        plannedStartDate: {
+          type: 'string',
+          description: 'Planned start date (format: yyyy-MM-ddTHH:mm:ssZ)'
+        },
+        plannedEndDate: {
+          type: 'string',
+          description: 'Planned end date (format: yyyy-MM-ddTHH:mm:ssZ)'
+        },
+        ownerId: {
+          type: 'string',
+          description: 'Atlassian account ID of the test cycle owner'
+        }
+      },
+      required: ['name', 'projectKey']
+    },
+    handler: createTestCycle
+  },
+  {
+    name: 'update_test_cycle',
+    description: 'Update an existing test cycle',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testCycleKey: {
+          type: 'string',
+          description: 'Test cycle ID or key to update (format: [A-Z]+-R[0-9]+)',
+          pattern: config.testCycleKeyPattern.source
+        },
+        name: {
+          type: 'string',
+          description: 'Updated name of the test cycle',
+          minLength: 1,
+          maxLength: 255
+        },
+        description: {
+          type: 'string',
+          description: 'Updated description of the test cycle'
+        },
+        folderId: {
+          type: 'integer',
+          description: 'Updated folder ID',
+          minimum: 1
+        },
+        ...folderPathProperties,
+        jiraProjectVersion: {
+          type: 'integer',
+          description: 'Updated Jira project version (release) ID',
+          minimum: 1
+        },
+        plannedStartDate: {
+          type: 'string',
+          description: 'Updated planned start date (format: yyyy-MM-ddTHH:mm:ssZ)'
+        },
+        plannedEndDate: {
+          type: 'string',
+          description: 'Updated planned end date (format: yyyy-MM-ddTHH:mm:ssZ)'
+        }
+      },
+      required: ['testCycleKey']
+    },
+    handler: updateTestCycle
+  }
+];
+
+export default testCycleTools;
@@ -0,0 +1,666 @@
+/**
+ * MCP Tools for Zephyr Test Execution Management
+ */
+
+import { zephyrClient as client } from '../zephyr-client.js';
+import { config } from '../config.js';
+import { formatError } from '../utils/error-handler.js';
+import { getProjectStatuses, findOptionByName } from '../utils/reference-data.js';
+import { decodeContinuationToken, cursorPage } from '../utils/cursor.js';
+
+/**
+ * Determines the project key of a test execution, from its key when possible
+ */
+async function getExecutionProjectKey(testExecutionKey, projectKey) {
+  if (projectKey) {
+    return projectKey;
+  }
+
+  const match = /^([A-Z][A-Z_0-9]+)-E[0-9]+$/.exec(testExecutionKey);
+  if (match) {
+    return match[1];
+  }
+
+  // Numeric IDs carry no project information, look it up
+  const execution = await client.getTestExecution(testExecutionKey);
+  const project = await client.getProject(execution.project.id);
+  return project.key;
+}
+
+/**
+ * Validates a test execution key argument
+ */
+function validateTestExecutionKey(testExecutionKey) {
+  if (!testExecutionKey) {
+    throw new Error('testExecutionKey is required');
+  }
+
+  if (!config.testExecutionKeyPattern.test(testExecutionKey)) {
+    throw new Error('Invalid testExecutionKey format. Must be a numeric ID or match pattern: [A-Z]+-E[0-9]+');
+  }
+}
+
+/**
+ * Lists test executions page by page through the cursor-based endpoint
+ */
+async function listTestExecutions(args) {
+  try {
+    const { projectKey, testCycleKey, testCaseKey } = args;
+
+    if (projectKey && !config.projectKeyPattern.test(projectKey)) {
+      throw new Error('Invalid projectKey format. Must match pattern: [A-Z][A-Z_0-9]+');
+    }
+
+    if (testCycleKey && !config.testCycleKeyPattern.test(testCycleKey)) {
+      throw new Error('Invalid testCycleKey format. Must match pattern: [A-Z]+-R[0-9]+');
+    }
+
+    if (testCaseKey && !config.testCaseKeyPattern.test(testCaseKey)) {
+      throw new Error('Invalid testCaseKey format. Must match pattern: [A-Z]+-T[0-9]+');
+    }
+
+    // Parameter names of the API
+    const filters = {
+      projectKey,
+      testCycle: testCycleKey,
+      testCase: testCaseKey,
+      actualEndDateAfter: args.actualEndDateAfter,
+      actualEndDateBefore: args.actualEndDateBefore,
+      jiraProjectVersionId: args.jiraProjectVersionId,
+      onlyLastExecutions: args.onlyLastExecutions,
+      includeStepLinks: args.includeStepLinks
+    };
+
+    const startAtId = args.continuationToken ? decodeContinuationToken(args.continuationToken, filters) : 0;
+
+    const response = await client.getTestExecutionsNextgen({
+      ...filters,
+      limit: args.maxResults || config.defaultMaxResults,
+      startAtId
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            testExecutions: response.values || [],
+            ...cursorPage(response, filters)
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, 'fetching test executions')
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Gets detailed information about a specific test execution
+ */
+async function getTestExecution(args) {
+  try {
+    const { testExecutionKey } = args;
+    validateTestExecutionKey(testExecutionKey);
+
+    const testExecution = await client.getTestExecution(testExecutionKey);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(testExecution, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `fetching test execution ${args.testExecutionKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Creates a new test execution for a test case in a test cycle
+ */
+async function createTestExecution(args) {
+  try {
+    const {
+      testCaseKey,
+      testCycleKey,
+      statusName,
+      environmentName,
+      actualEndDate,
+      executionTime,
+      executedById,
+      assignedToId,
+      comment,
+      stepResults
+    } = args;
+
+    if (!testCaseKey) {
+      throw new Error('testCaseKey is required');
+    }
+
+    if (!config.testCaseKeyPattern.test(testCaseKey)) {
+      throw new Error('Invalid testCaseKey format. Must match pattern: [A-Z]+-T[0-9]+');
+    }
+
+    if (!testCycleKey) {
+      throw new Error('testCycleKey is required');
+    }
+
+    if (!config.testCycleKeyPattern.test(testCycleKey)) {
+      throw new Error('Invalid testCycleKey format. Must match pattern: [A-Z]+-R[0-9]+');
+    }
+
+    if (!statusName) {
+      throw new Error('statusName is required');
+    }
+
+    // Default to the project of the test case
+    const projectKey = args.projectKey || testCaseKey.replace(/-T[0-9]+$/, '');
+    if (!config.projectKeyPattern.test(projectKey)) {
+      throw new Error('Invalid projectKey format. Must match pattern: [A-Z][A-Z_0-9]+');
+    }
+
+    const statuses = await getProjectStatuses(client, projectKey, 'TEST_EXECUTION');
+    const status = findOptionByName(statuses, statusName, 'status');
+
+    const testExecutionData = {
+      projectKey,
+      testCaseKey,
+      testCycleKey,
+      statusName: status.name
+    };
+
+    // Optional fields
+    if (environmentName) testExecutionData.environmentName = environmentName;
+    if (actualEndDate) testExecutionData.actualEndDate = actualEndDate;
+    if (executionTime !== undefined) testExecutionData.executionTime = executionTime * 60000; // Convert minutes to milliseconds
+    if (executedById) testExecutionData.executedById = executedById;
+    if (assignedToId) testExecutionData.assignedToId = assignedToId;
+    if (comment) testExecutionData.comment = comment;
+    if (stepResults) {
+      if (!Array.isArray(stepResults)) {
+        throw new Error('stepResults must be provided as an array');
+      }
+
+      testExecutionData.testScriptResults = stepResults.map((stepResult, index) => {
+        if (!stepResult.statusName) {
+          throw new Error(`Step result ${index + 1} is missing required field: statusName`);
+        }
+
+        const formattedResult = {
+          statusName: findOptionByName(statuses, stepResult.statusName, 'status').name
+        };
+
+        if (stepResult.actualResult !== undefined) {
+          formattedResult.actualResult = stepResult.actualResult;
+        }
+
+        if (stepResult.actualEndDate !== undefined) {
+          formattedResult.actualEndDate = stepResult.actualEndDate;
+        }
+
+        return formattedResult;
+      });
+    }
+
+    const result = await client.createTestExecution(testExecutionData);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            message: 'Test execution created successfully',
+            testExecution: result,
+            status: { id: status.id, name: status.name }
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `creating test execution for ${args.testCaseKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Updates the status, environment, end date or comment of a test execution
+ */
+async function updateTestExecution(args) {
+  try {
+    const {
+      testExecutionKey,
+      statusName,
+      environmentName,
+      actualEndDate,
+      executionTime,
+      executedById,
+      assignedToId,
+      comment
+    } = args;
+
+    validateTestExecutionKey(testExecutionKey);
+
+    const testExecutionData = {};
+    let status;
+
+    if (statusName) {
+      const projectKey = await getExecutionProjectKey(testExecutionKey, args.projectKey);
+      const statuses = await getProjectStatuses(client, projectKey, 'TEST_EXECUTION');
+      status = findOptionByName(statuses, statusName, 'status');
+      testExecutionData.statusName = status.name;
+    }
+
+    if (environmentName !== undefined) testExecutionData.environmentName = environmentName;
+    if (actualEndDate !== undefined) testExecutionData.actualEndDate = actualEndDate;
+    if (executionTime !== undefined) testExecutionData.executionTime = executionTime * 60000; // Convert minutes to milliseconds
+    if (executedById !== undefined) testExecutionData.executedById = executedById;
+    if (assignedToId !== undefined) testExecutionData.assignedToId = assignedToId;
+    if (comment !== undefined) testExecutionData.comment = comment;
+
+    if (Object.keys(testExecutionData).length === 0) {
+      throw new Error('At least one field to update must be provided');
+    }
+
+    const result = await client.updateTestExecution(testExecutionKey, testExecutionData);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            message: 'Test execution updated successfully',
+            testExecutionKey,
+            updatedFields: Object.keys(testExecutionData),
+            status: status ? { id: status.id, name: status.name } : undefined,
+            result
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `updating test execution ${args.testExecutionKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Updates the status and actual result of individual test execution steps
+ */
+async function updateTestExecutionSteps(args) {
+  try {
+    const { testExecutionKey, steps } = args;
+
+    validateTestExecutionKey(testExecutionKey);
+
+    if (!steps || !Array.isArray(steps)) {
+      throw new Error('steps must be provided as an array');
+    }
+
+    if (steps.length === 0) {
+      throw new Error('At least one step must be provided');
+    }
+
+    const projectKey = await getExecutionProjectKey(testExecutionKey, args.projectKey);
+    const [statuses, currentSteps] = await Promise.all([
+      getProjectStatuses(client, projectKey, 'TEST_EXECUTION'),
+      client.getAllPaginated(
+        (params) => client.getTestExecutionSteps(testExecutionKey, params),
+        100
+      )
+    ]);
+
+    // The API replaces every step, so start from the current results
+    const statusNamesById = new Map(statuses.map(status => [status.id, status.name]));
+    const stepUpdates = currentSteps.map(step => ({
+      statusId: step.inline?.status?.id,
+      ...(step.inline?.actualResult != null && { actualResult: step.inline.actualResult })
+    }));
+
+    steps.forEach((step, index) => {
+      if (!Number.isInteger(step.index) || step.index < 1 || step.index > stepUpdates.length) {
+        throw new Error(`Step update ${index + 1} has an invalid index. Must be between 1 and ${stepUpdates.length}`);
+      }
+
+      if (step.statusName === undefined && step.actualResult === undefined) {
+        throw new Error(`Step update ${index + 1} must provide statusName or actualResult`);
+      }
+
+      const stepUpdate = stepUpdates[step.index - 1];
+      if (step.statusName !== undefined) {
+        delete stepUpdate.statusId;
+        stepUpdate.statusName = findOptionByName(statuses, step.statusName, 'status').name;
+      }
+
+      if (step.actualResult !== undefined) {
+        stepUpdate.actualResult = step.actualResult;
+      }
+    });
+
+    // Unchanged steps keep their status, which must be sent by name
+    stepUpdates.forEach((stepUpdate, index) => {
+      const { statusId } = stepUpdate;
+      delete stepUpdate.statusId;
+      if (statusId === undefined || statusId === null) {
+        return;
+      }
+
+      if (!statusNamesById.has(statusId)) {
+        throw new Error(`Step ${index + 1} has status ID ${statusId}, which is not a test execution status of ${projectKey}. Pass a statusName for this step`);
+      }
+      stepUpdate.statusName = statusNamesById.get(statusId);
+    });
+
+    const result = await client.updateTestExecutionSteps(testExecutionKey, { steps: stepUpdates });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            message: `Successfully updated ${steps.length} steps of ${testExecutionKey}`,
+            testExecutionKey,
+            stepsUpdated: steps.map(step => step.index),
+            result
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `updating test steps of ${args.testExecutionKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+export const testExecutionTools = [
+  {
+    name: 'list_test_executions',
+    readOnly: true,
+    description: 'List test executions with optional filters, page by page with a continuation token (stable when executions are added mid-scan)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectKey: {
+          type: 'string',
+          description: 'Jira project key to filter test executions',
+          pattern: config.projectKeyPattern.source
+        },
+        testCycleKey: {
+          type: 'string',
+          description: 'Only executions of this test cycle (format: [A-Z]+-R[0-9]+)',
+          pattern: config.testCycleKeyPattern.source
+        },
+        testCaseKey: {
+          type: 'string',
+          description: 'Only executions of this test case (format: [A-Z]+-T[0-9]+)',
+          pattern: config.testCaseKeyPattern.source
+        },
+        actualEndDateAfter: {
+          type: 'string',
+          description: 'Only executions ended after this time (format: yyyy-MM-ddTHH:mm:ssZ)'
+        },
+        actualEndDateBefore: {
+          type: 'string',
+          description: 'Only executions ended before this time (format: yyyy-MM-ddTHH:mm:ssZ)'
+        },
+        jiraProjectVersionId: {
+          type: 'integer',
+          description: 'Only executions of this Jira version (release)',
+          minimum: 1
+        },
+        onlyLastExecutions: {
+          type: 'boolean',
+          description: 'Only the last execution of each test case in each test cycle (default: false)',
+          default: false
+        },
+        includeStepLinks: {
+          type: 'boolean',
+          description: 'Include the issue links of execution steps (default: false)',
+          default: false
+        },
+        maxResults: {
+          type: 'number',
+          description: 'Maximum number of results per page (default: 50, max: 1000). The API may return fewer, see limit in the response',
+          minimum: 1,
+          maximum: config.maxMaxResults,
+          default: config.defaultMaxResults
+        },
+        continuationToken: {
+          type: 'string',
+          description: 'Token returned by the previous call, to fetch the next page with the same filters'
+        }
+      }
+    },
+    handler: listTestExecutions
+  },
+  {
+    name: 'get_test_execution',
+    readOnly: true,
+    description: 'Get detailed information about a specific test execution',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testExecutionKey: {
+          type: 'string',
+          description: 'Test execution ID or key to retrieve (format: [A-Z]+-E[0-9]+)',
+          pattern: config.testExecutionKeyPattern.source
+        }
+      },
+      required: ['testExecutionKey']
+    },
+    handler: getTestExecution
+  },
+  {
+    name: 'create_test_execution',
+    description: 'Record a test execution result for a test case in a test cycle',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testCaseKey: {
+          type: 'string',
+          description: 'Test case key that was executed (format: [A-Z]+-T[0-9]+)',
+          pattern: config.testCaseKeyPattern.source
+        },
+        testCycleKey: {
+          type: 'string',
+          description: 'Test cycle key the execution belongs to (format: [A-Z]+-R[0-9]+)',
+          pattern: config.testCycleKeyPattern.source
+        },
+        projectKey: {
+          type: 'string',
+          description: 'Jira project key (default: project of the test case)',
+          pattern: config.projectKeyPattern.source
+        },
+        statusName: {
+          type: 'string',
+          description: 'Execution status name (e.g., Pass, Fail, Blocked), case-insensitive'
+        },
+        environmentName: {
+          type: 'string',
+          description: 'Environment the test was executed in'
+        },
+        actualEndDate: {
+          type: 'string',
+          description: 'Actual end date (format: yyyy-MM-ddTHH:mm:ssZ)'
+        },
+        executionTime: {
+          type: 'integer',
+          description: 'Execution time in minutes (will be converted to milliseconds)',
+          minimum: 0
+        },
+        executedById: {
+          type: 'string',
+          description: 'Atlassian account ID of the user who executed the test'
+        },
+        assignedToId: {
+          type: 'string',
+          description: 'Atlassian account ID of the assignee'
+        },
+        comment: {
+          type: 'string',
+          description: 'Execution comment'
+        },
+        stepResults: {
+          type: 'array',
+          description: 'Per-step results, in step order',
+          items: {
+            type: 'object',
+            properties: {
+              statusName: {
+                type: 'string',
+                description: 'Step status name (required)'
+              },
+              actualResult: {
+                type: 'string',
+                description: 'Actual result of the step'
+              },
+              actualEndDate: {
+                type: 'string',
+                description: 'Actual end date of the step (format: yyyy-MM-ddTHH:mm:ssZ)'
+              }
+            },
+            required: ['statusName']
+          }
+        }
+      },
+      required: ['testCaseKey', 'testCycleKey', 'statusName']
+    },
+    handler: createTestExecution
+  },
+  {
+    name: 'update_test_execution',
+    description: 'Update the status, environment, end date or comment of a test execution',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testExecutionKey: {
+          type: 'string',
+          description: 'Test execution ID or key to update (format: [A-Z]+-E[0-9]+)',
+          pattern: config.testExecutionKeyPattern.source
+        },
+        projectKey: {
+          type: 'string',
+          description: 'Jira project key used to resolve the status name (default: derived from the execution)',
+          pattern: config.projectKeyPattern.source
+        },
+        statusName: {
+          type: 'string',
+          description: 'Updated execution status name (e.g., Pass, Fail, Blocked), case-insensitive'
+        },
+        environmentName: {
+          type: 'string',
+          description: 'Updated environment name'
+        },
+        actualEndDate: {
+          type: 'string',
+          description: 'Updated actual end date (format: yyyy-MM-ddTHH:mm:ssZ)'
+        },
+        executionTime: {
+          type: 'integer',
+          description: 'Updated execution time in minutes (will be converted to milliseconds)',
+          minimum: 0
+        },
+        executedById: {
+          type: 'string',
+          description: 'Atlassian account ID of the user who executed the test'
+        },
+        assignedToId: {
+          type: 'string',
+          description: 'Atlassian account ID of the assignee'
+        },
+        comment: {
+          type: 'string',
+          description: 'Updated execution comment'
+        }
+      },
+      required: ['testExecutionKey']
+    },
+    handler: updateTestExecution
+  },
+  {
+    name: 'update_test_execution_steps',
+    description: 'Update the status and actual result of individual steps of a test execution',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testExecutionKey: {
+          type: 'string',
+          description: 'Test execution ID or key (format: [A-Z]+-E[0-9]+)',
+          pattern: config.testExecutionKeyPattern.source
+        },
+        projectKey: {
+          type: 'string',
+          description: 'Jira project key used to resolve status names (default: derived from the execution)',
+          pattern: config.projectKeyPattern.source
+        },
+        steps: {
+          type: 'array',
+          description: 'Step updates; steps that are not listed keep their current result',
+          items: {
+            type: 'object',
+            properties: {
+              index: {
+                type: 'integer',
+                description: 'Step number to update (1-based)',
+                minimum: 1
+              },
+              statusName: {
+                type: 'string',
+                description: 'Step status name (e.g., Pass, Fail), case-insensitive'
+              },
+              actualResult: {
+                type: 'string',
+                description: 'Actual result of the step'
+              }
+            },
+            required: ['index']
+          },
+          minItems: 1
+        }
+      },
+      required: ['testExecutionKey', 'steps']
+    },
+    handler: updateTestExecutionSteps
+  }
+];
+
+export default testExecutionTools;
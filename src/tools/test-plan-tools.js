@@ -0,0 +1,466 @@
+/**
+ * MCP Tools for Zephyr Test Plan Management
+ */
+
+import { zephyrClient as client } from '../zephyr-client.js';
+import { config } from '../config.js';
+import { formatError } from '../utils/error-handler.js';
+import { resolveFolderArgument, folderPathProperties } from '../utils/folders.js';
+
+/**
+ * Validates a test plan key argument
+ */
+function validateTestPlanKey(testPlanKey) {
+  if (!testPlanKey) {
+    throw new Error('testPlanKey is required');
+  }
+
+  if (!config.testPlanKeyPattern.test(testPlanKey)) {
+    throw new Error('Invalid testPlanKey format. Must be a numeric ID or match pattern: [A-Z]+-P[0-9]+');
+  }
+}
+
+/**
+ * Lists test plans with optional filtering
+ */
+async function listTestPlans(args) {
+  try {
+    const params = {
+      projectKey: args.projectKey,
+      maxResults: args.maxResults || config.defaultMaxResults,
+      startAt: args.startAt || 0
+    };
+
+    // Validate projectKey if provided
+    if (params.projectKey && !config.projectKeyPattern.test(params.projectKey)) {
+      throw new Error('Invalid projectKey format. Must match pattern: [A-Z][A-Z_0-9]+');
+    }
+
+    const response = await client.getTestPlans(params);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            testPlans: response.values || response,
+            total: response.total || response.length,
+            startAt: response.startAt || 0,
+            maxResults: response.maxResults || params.maxResults
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, 'fetching test plans')
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Gets detailed information about a specific test plan
+ */
+async function getTestPlan(args) {
+  try {
+    const { testPlanKey } = args;
+    validateTestPlanKey(testPlanKey);
+
+    const testPlan = await client.getTestPlan(testPlanKey);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(testPlan, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `fetching test plan ${args.testPlanKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Creates a new test plan
+ */
+async function createTestPlan(args) {
+  try {
+    const {
+      name,
+      projectKey,
+      objective,
+      statusName,
+      ownerId,
+      labels
+    } = args;
+
+    if (!name) {
+      throw new Error('name is required');
+    }
+
+    if (!projectKey) {
+      throw new Error('projectKey is required');
+    }
+
+    if (!config.projectKeyPattern.test(projectKey)) {
+      throw new Error('Invalid projectKey format. Must match pattern: [A-Z][A-Z_0-9]+');
+    }
+
+    const { folderId, createdFolders } = await resolveFolderArgument(projectKey, 'TEST_PLAN', args);
+
+    const testPlanData = {
+      name,
+      projectKey
+    };
+
+    // Optional fields
+    if (objective) testPlanData.objective = objective;
+    if (statusName) testPlanData.statusName = statusName;
+    if (ownerId) testPlanData.ownerId = ownerId;
+    if (labels) testPlanData.labels = Array.isArray(labels) ? labels : [labels];
+    if (folderId) {
+      if (typeof folderId === 'string') {
+        if (!config.folderIdPattern.test(folderId)) {
+          throw new Error('Invalid folderId format. Must be a numeric ID.');
+        }
+        testPlanData.folderId = parseInt(folderId);
+      } else {
+        testPlanData.folderId = folderId;
+      }
+    }
+
+    const result = await client.createTestPlan(testPlanData);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            message: 'Test plan created successfully',
+            testPlan: result,
+            ...(createdFolders.length > 0 && { createdFolders })
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, 'creating test plan')
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Links a test cycle to a test plan
+ */
+async function linkTestCycleToTestPlan(args) {
+  try {
+    const { testPlanKey, testCycleKey } = args;
+    validateTestPlanKey(testPlanKey);
+
+    if (!testCycleKey) {
+      throw new Error('testCycleKey is required');
+    }
+
+    if (!config.testCycleKeyPattern.test(testCycleKey)) {
+      throw new Error('Invalid testCycleKey format. Must be a numeric ID or match pattern: [A-Z]+-R[0-9]+');
+    }
+
+    const result = await client.createTestPlanTestCycleLink(testPlanKey, {
+      testCycleIdOrKey: testCycleKey
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            message: `Test cycle ${testCycleKey} linked to test plan ${testPlanKey}`,
+            link: result
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `linking test cycle to test plan ${args.testPlanKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Links a Jira issue to a test plan
+ */
+async function linkIssueToTestPlan(args) {
+  try {
+    const { testPlanKey, issueId } = args;
+    validateTestPlanKey(testPlanKey);
+
+    if (!issueId) {
+      throw new Error('issueId is required');
+    }
+
+    if (!Number.isInteger(issueId) || issueId < 1) {
+      throw new Error('Invalid issueId format. Must be a positive integer (the Jira issue ID, not its key).');
+    }
+
+    const result = await client.createTestPlanIssueLink(testPlanKey, { issueId });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            message: `Issue ${issueId} linked to test plan ${testPlanKey}`,
+            link: result
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `linking issue to test plan ${args.testPlanKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Adds a web link to a test plan
+ */
+async function addTestPlanWebLink(args) {
+  try {
+    const { testPlanKey, url, description } = args;
+    validateTestPlanKey(testPlanKey);
+
+    if (!url) {
+      throw new Error('url is required');
+    }
+
+    // Test plan web links require a description
+    if (!description) {
+      throw new Error('description is required');
+    }
+
+    const result = await client.createTestPlanWebLink(testPlanKey, { url, description });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            message: `Web link added to test plan ${testPlanKey}`,
+            link: result
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `adding web link to test plan ${args.testPlanKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+export const testPlanTools = [
+  {
+    name: 'list_test_plans',
+    readOnly: true,
+    description: 'List test plans with optional filtering by project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectKey: {
+          type: 'string',
+          description: 'Jira project key to filter test plans',
+          pattern: config.projectKeyPattern.source
+        },
+        maxResults: {
+          type: 'number',
+          description: 'Maximum number of results to return (default: 50, max: 1000)',
+          minimum: 1,
+          maximum: config.maxMaxResults,
+          default: config.defaultMaxResults
+        },
+        startAt: {
+          type: 'number',
+          description: 'Starting position for pagination (default: 0)',
+          minimum: 0,
+          default: 0
+        }
+      }
+    },
+    handler: listTestPlans
+  },
+  {
+    name: 'get_test_plan',
+    readOnly: true,
+    description: 'Get detailed information about a specific test plan',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testPlanKey: {
+          type: 'string',
+          description: 'Test plan ID or key to retrieve (format: [A-Z]+-P[0-9]+)',
+          pattern: config.testPlanKeyPattern.source
+        }
+      },
+      required: ['testPlanKey']
+    },
+    handler: getTestPlan
+  },
+  {
+    name: 'create_test_plan',
+    description: 'Create a new test plan',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Name of the test plan',
+          minLength: 1,
+          maxLength: 255
+        },
+        projectKey: {
+          type: 'string',
+          description: 'Jira project key where the test plan will be created',
+          pattern: config.projectKeyPattern.source
+        },
+        objective: {
+          type: 'string',
+          description: 'Test plan objective'
+        },
+        folderId: {
+          type: 'integer',
+          description: 'Folder ID where the test plan will be created',
+          minimum: 1
+        },
+        ...folderPathProperties,
+        statusName: {
+          type: 'string',
+          description: 'Status name (e.g., Draft, Approved)'
+        },
+        ownerId: {
+          type: 'string',
+          description: 'Atlassian account ID of the test plan owner'
+        },
+        labels: {
+          oneOf: [
+            { type: 'string' },
+            { type: 'array', items: { type: 'string' } }
+          ],
+          description: 'Labels for the test plan (single string or array of strings)'
+        }
+      },
+      required: ['name', 'projectKey']
+    },
+    handler: createTestPlan
+  },
+  {
+    name: 'link_test_cycle_to_test_plan',
+    description: 'Link a test cycle to a test plan',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testPlanKey: {
+          type: 'string',
+          description: 'Test plan ID or key (format: [A-Z]+-P[0-9]+)',
+          pattern: config.testPlanKeyPattern.source
+        },
+        testCycleKey: {
+          type: 'string',
+          description: 'Test cycle ID or key to link (format: [A-Z]+-R[0-9]+)',
+          pattern: config.testCycleKeyPattern.source
+        }
+      },
+      required: ['testPlanKey', 'testCycleKey']
+    },
+    handler: linkTestCycleToTestPlan
+  },
+  {
+    name: 'link_issue_to_test_plan',
+    description: 'Link a Jira issue to a test plan',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testPlanKey: {
+          type: 'string',
+          description: 'Test plan ID or key (format: [A-Z]+-P[0-9]+)',
+          pattern: config.testPlanKeyPattern.source
+        },
+        issueId: {
+          type: 'integer',
+          description: 'Jira issue ID (numeric ID, not the issue key)',
+          minimum: 1
+        }
+      },
+      required: ['testPlanKey', 'issueId']
+    },
+    handler: linkIssueToTestPlan
+  },
+  {
+    name: 'add_test_plan_web_link',
+    description: 'Add a web link to a test plan',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testPlanKey: {
+          type: 'string',
+          description: 'Test plan ID or key (format: [A-Z]+-P[0-9]+)',
+          pattern: config.testPlanKeyPattern.source
+        },
+        url: {
+          type: 'string',
+          description: 'URL of the web link'
+        },
+        description: {
+          type: 'string',
+          description: 'Description of the web link',
+          minLength: 1
+        }
+      },
+      required: ['testPlanKey', 'url', 'description']
+    },
+    handler: addTestPlanWebLink
+  }
+];
+
+export default testPlanTools;
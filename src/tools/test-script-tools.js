@@ -2,11 +2,12 @@
  * MCP Tools for Zephyr Test Script Management
  */
 
-import ZephyrClient from '../zephyr-client.js';
+import { zephyrClient as client } from '../zephyr-client.js';
 import { config } from '../config.js';
 import { formatError } from '../utils/error-handler.js';
-
-const client = new ZephyrClient();
+import { isDryRun, dryRunResponse, dryRunProperty } from '../utils/dry-run.js';
+import { fetchTestScript } from '../utils/test-case-state.js';
+import { captureSnapshot } from '../utils/snapshots.js';
 
 /**
  * Gets the test script (Gherkin format) for a test case
@@ -87,6 +88,16 @@ async function createTestScript(args) {
       scriptData.type = 'bdd'; // Default to bdd
     }
 
+    if (isDryRun(args)) {
+      return dryRunResponse({
+        description: `Would create/update the test script of ${testCaseKey}`,
+        write: () => client.createTestScript(testCaseKey, scriptData),
+        current: await fetchTestScript(testCaseKey),
+        payload: scriptData
+      });
+    }
+
+    const snapshot = await captureSnapshot(testCaseKey);
     const result = await client.createTestScript(testCaseKey, scriptData);
 
     return {
@@ -98,6 +109,7 @@ async function createTestScript(args) {
             testCaseKey,
             scriptType: scriptData.type,
             result,
+            snapshotId: snapshot.id,
             warning: 'If this test case had existing test steps, they have been implicitly removed as test scripts and steps are mutually exclusive',
             note: scriptData.type === 'bdd' ? 'Script should be in Gherkin format (Given/When/Then/And/But)' : 'Plain text script format'
           }, null, 2)
@@ -174,7 +186,8 @@ async function createBddTestScript(args) {
     const result = await createTestScript({
       testCaseKey,
       text: gherkinScript,
-      type: 'bdd'
+      type: 'bdd',
+      dryRun: args.dryRun
     });
 
     // Add additional info to the response
@@ -238,6 +251,7 @@ async function createBddTestScript(args) {
 export const testScriptTools = [
   {
     name: 'get_test_script',
+    readOnly: true,
     description: 'Get the test script (Gherkin format) for a test case',
     inputSchema: {
       type: 'object',
@@ -273,7 +287,8 @@ export const testScriptTools = [
           description: 'Script type (default: bdd)',
           enum: ['bdd', 'plain'],
           default: 'bdd'
-        }
+        },
+        dryRun: dryRunProperty
       },
       required: ['testCaseKey', 'text']
     },
@@ -306,7 +321,8 @@ export const testScriptTools = [
             description: 'Gherkin step (e.g., "Given I am logged in" or "When I click the button")'
           },
           minItems: 1
-        }
+        },
+        dryRun: dryRunProperty
       },
       required: ['testCaseKey']
     },
@@ -2,11 +2,13 @@
  * MCP Tools for Zephyr Test Steps Management
  */
 
-import ZephyrClient from '../zephyr-client.js';
+import { zephyrClient as client } from '../zephyr-client.js';
 import { config } from '../config.js';
 import { formatError } from '../utils/error-handler.js';
-
-const client = new ZephyrClient();
+import { validateCustomFields } from '../utils/custom-fields.js';
+import { isDryRun, dryRunResponse, dryRunProperty } from '../utils/dry-run.js';
+import { toStepInput, summarizeStep, fetchAllTestSteps, writeAllTestSteps } from '../utils/test-steps.js';
+import { captureSnapshot } from '../utils/snapshots.js';
 
 /**
  * Gets test steps for a specific test case
@@ -58,6 +60,132 @@ async function getTestSteps(args) {
   }
 }
 
+/**
+ * Formats a call-to-test step, delegating execution to another test case
+ */
+function formatCallToTestStep(step, index, testCaseKey) {
+  if (!config.testCaseKeyPattern.test(step.testCaseKey)) {
+    throw new Error(`Step ${index + 1} has an invalid testCaseKey. Must match pattern: [A-Z]+-T[0-9]+`);
+  }
+
+  if (step.testCaseKey === testCaseKey) {
+    throw new Error(`Step ${index + 1} cannot call its own test case ${testCaseKey}`);
+  }
+
+  if (step.description) {
+    throw new Error(`Step ${index + 1} must provide either description or testCaseKey, not both`);
+  }
+
+  const formattedStep = {
+    testCase: {
+      testCaseKey: step.testCaseKey
+    }
+  };
+
+  // Parameters with a value are entered manually, the others use the called test case defaults
+  if (step.parameters) {
+    formattedStep.testCase.parameters = Object.entries(step.parameters).map(([name, value]) => (
+      value === null || value === undefined
+        ? { name, type: 'DEFAULT_VALUE' }
+        : { name, type: 'MANUAL_INPUT', value: String(value) }
+    ));
+  }
+
+  return formattedStep;
+}
+
+/**
+ * Validates a step argument and formats it according to the TestStep input schema
+ */
+function formatStep(step, index, testCaseKey) {
+  if (step.testCaseKey) {
+    return formatCallToTestStep(step, index, testCaseKey);
+  }
+
+  if (!step.description) {
+    throw new Error(`Step ${index + 1} is missing required field: description (or testCaseKey for a call-to-test step)`);
+  }
+
+  const projectKey = testCaseKey.replace(/-T[0-9]+$/, '');
+
+  const formattedStep = {
+    inline: {
+      description: step.description
+    }
+  };
+
+  // Optional fields
+  if (step.expectedResult !== undefined) {
+    formattedStep.inline.expectedResult = step.expectedResult;
+  }
+
+  if (step.data !== undefined) {
+    formattedStep.inline.testData = step.data;
+  }
+
+  if (step.attachments !== undefined) {
+    formattedStep.inline.attachments = step.attachments;
+  }
+
+  const customFields = validateCustomFields(projectKey, 'TEST_STEP', step.customFields, {
+    label: `customFields of step ${index + 1}`
+  });
+  if (Object.keys(customFields).length > 0) {
+    formattedStep.inline.customFields = customFields;
+  }
+
+  return formattedStep;
+}
+
+/**
+ * Replaces {parameter} placeholders in a step summary with the call-to-test values
+ */
+function applyParameters(step, parameters) {
+  const values = parameters.filter(parameter => parameter.type === 'MANUAL_INPUT' && parameter.value !== undefined);
+  const substitute = (text) => values.reduce(
+    (result, parameter) => result.split(`{${parameter.name}}`).join(parameter.value),
+    text
+  );
+
+  return {
+    ...step,
+    description: step.description && substitute(step.description),
+    expectedResult: step.expectedResult && substitute(step.expectedResult),
+    testData: step.testData && substitute(step.testData)
+  };
+}
+
+/**
+ * Flattens call-to-test steps recursively into a readable list of inline steps.
+ * Steps are numbered hierarchically (e.g. 2.1 is the first step called by step 2).
+ */
+async function expandTestSteps(testCaseKey, steps, cache, callPath = [testCaseKey], prefix = '') {
+  const flattened = [];
+
+  for (const [index, step] of steps.entries()) {
+    const number = `${prefix}${index + 1}`;
+
+    if (!step.testCase) {
+      flattened.push({ number, testCaseKey, ...summarizeStep(step) });
+      continue;
+    }
+
+    const calledKey = step.testCase.testCaseKey;
+    if (callPath.includes(calledKey)) {
+      throw new Error(`Circular call-to-test detected: ${[...callPath, calledKey].join(' -> ')}`);
+    }
+
+    if (!cache.has(calledKey)) {
+      cache.set(calledKey, await fetchAllTestSteps(calledKey));
+    }
+
+    const calledSteps = await expandTestSteps(calledKey, cache.get(calledKey), cache, [...callPath, calledKey], `${number}.`);
+    flattened.push(...calledSteps.map(calledStep => applyParameters(calledStep, step.testCase.parameters || [])));
+  }
+
+  return flattened;
+}
+
 /**
  * Appends new test steps to a test case
  */
@@ -86,39 +214,25 @@ async function appendTestSteps(args) {
     }
 
     // Validate each step and format according to TestStepsInput schema
-    const formattedSteps = steps.map((step, index) => {
-      if (!step.description) {
-        throw new Error(`Step ${index + 1} is missing required field: description`);
-      }
-
-      const formattedStep = {
-        inline: {
-          description: step.description
-        }
-      };
-
-      // Optional fields
-      if (step.expectedResult !== undefined) {
-        formattedStep.inline.expectedResult = step.expectedResult;
-      }
-
-      if (step.data !== undefined) {
-        formattedStep.inline.testData = step.data;
-      }
-
-      if (step.attachments !== undefined) {
-        formattedStep.inline.attachments = step.attachments;
-      }
-
-      return formattedStep;
-    });
+    const formattedSteps = steps.map((step, index) => formatStep(step, index, testCaseKey));
 
-    // Format according to TestStepsInput schema
+    // APPEND keeps the existing steps and adds the new ones at the end
     const payload = {
-      mode: 'OVERWRITE',
+      mode: 'APPEND',
       items: formattedSteps
     };
 
+    if (isDryRun(args)) {
+      const currentSteps = (await fetchAllTestSteps(testCaseKey)).map(toStepInput);
+      return dryRunResponse({
+        description: `Would append ${steps.length} test steps to ${testCaseKey}`,
+        write: () => client.appendTestSteps(testCaseKey, payload),
+        current: { steps: currentSteps },
+        payload: { steps: [...currentSteps, ...formattedSteps] }
+      });
+    }
+
+    const snapshot = await captureSnapshot(testCaseKey);
     const result = await client.appendTestSteps(testCaseKey, payload);
 
     return {
@@ -130,6 +244,7 @@ async function appendTestSteps(args) {
             testCaseKey,
             stepsAdded: steps.length,
             result,
+            snapshotId: snapshot.id,
             warning: 'If this test case had a test script, it has been implicitly removed'
           }, null, 2)
         }
@@ -153,7 +268,7 @@ async function appendTestSteps(args) {
  */
 async function getAllTestSteps(args) {
   try {
-    const { testCaseKey } = args;
+    const { testCaseKey, expandCallToTest } = args;
 
     if (!testCaseKey) {
       throw new Error('testCaseKey is required');
@@ -163,26 +278,25 @@ async function getAllTestSteps(args) {
       throw new Error('Invalid testCaseKey format. Must match pattern: [A-Z]+-T[0-9]+');
     }
 
-    const allSteps = [];
-    let startAt = 0;
-    const maxResults = 100; // Use maximum for efficiency
-
-    while (true) {
-      const response = await client.getTestSteps(testCaseKey, { maxResults, startAt });
-
-      if (response.values) {
-        allSteps.push(...response.values);
-      } else if (Array.isArray(response)) {
-        allSteps.push(...response);
-      }
-
-      // Check if we have all results
-      const total = response.total || response.size || 0;
-      if (allSteps.length >= total || response.values?.length < maxResults) {
-        break;
-      }
-
-      startAt += maxResults;
+    const allSteps = await fetchAllTestSteps(testCaseKey);
+
+    if (expandCallToTest) {
+      const expandedSteps = await expandTestSteps(testCaseKey, allSteps, new Map());
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              testCaseKey,
+              testSteps: expandedSteps,
+              totalSteps: allSteps.length,
+              totalExpandedSteps: expandedSteps.length,
+              note: 'Call-to-test steps expanded recursively; testCaseKey on each step is the test case it comes from'
+            }, null, 2)
+          }
+        ]
+      };
     }
 
     return {
@@ -211,9 +325,198 @@ async function getAllTestSteps(args) {
   }
 }
 
+/**
+ * Applies one edit operation to the working list of steps.
+ * Each entry tracks the original position of the step so the diff can be built afterwards.
+ */
+function applyStepOperation(working, operation, index, testCaseKey) {
+  const checkPosition = (position, name, max) => {
+    if (!Number.isInteger(position) || position < 1 || position > max) {
+      throw new Error(`Operation ${index + 1} (${operation.action}) has an invalid ${name}. Must be between 1 and ${max}`);
+    }
+  };
+
+  switch (operation.action) {
+  case 'insert': {
+    const position = operation.index !== undefined ? operation.index : working.length + 1;
+    checkPosition(position, 'index', working.length + 1);
+    if (!operation.step) {
+      throw new Error(`Operation ${index + 1} (insert) requires a step`);
+    }
+    working.splice(position - 1, 0, {
+      originalIndex: null,
+      step: formatStep(operation.step, position - 1, testCaseKey)
+    });
+    break;
+  }
+  case 'replace': {
+    checkPosition(operation.index, 'index', working.length);
+    if (!operation.step) {
+      throw new Error(`Operation ${index + 1} (replace) requires a step`);
+    }
+    const entry = working[operation.index - 1];
+    entry.replaced = true;
+    entry.step = formatStep(operation.step, operation.index - 1, testCaseKey);
+    break;
+  }
+  case 'delete':
+    checkPosition(operation.index, 'index', working.length);
+    working.splice(operation.index - 1, 1);
+    break;
+  case 'move': {
+    checkPosition(operation.index, 'index', working.length);
+    checkPosition(operation.to, 'to', working.length);
+    const [entry] = working.splice(operation.index - 1, 1);
+    entry.moved = true;
+    working.splice(operation.to - 1, 0, entry);
+    break;
+  }
+  default:
+    throw new Error(`Operation ${index + 1} has an invalid action. Must be one of: insert, replace, delete, move`);
+  }
+}
+
+/**
+ * Edits the test steps of a test case: reads all steps, applies the operations
+ * in order and writes the whole list back
+ */
+async function editTestSteps(args) {
+  try {
+    const { testCaseKey, operations } = args;
+
+    if (!testCaseKey) {
+      throw new Error('testCaseKey is required');
+    }
+
+    if (!config.testCaseKeyPattern.test(testCaseKey)) {
+      throw new Error('Invalid testCaseKey format. Must match pattern: [A-Z]+-T[0-9]+');
+    }
+
+    if (!operations || !Array.isArray(operations) || operations.length === 0) {
+      throw new Error('operations must be provided as a non-empty array');
+    }
+
+    const currentSteps = await fetchAllTestSteps(testCaseKey);
+    const before = currentSteps.map(toStepInput);
+
+    const working = before.map((step, index) => ({ originalIndex: index + 1, step }));
+    operations.forEach((operation, index) => applyStepOperation(working, operation, index, testCaseKey));
+
+    if (working.length === 0) {
+      throw new Error('At least one step must remain after the edit');
+    }
+
+    // Build the diff from the original position tracked for every step
+    const keptIndexes = new Set(working.map(entry => entry.originalIndex));
+    const changes = [
+      ...before
+        .map((step, index) => ({ step, originalIndex: index + 1 }))
+        .filter(({ originalIndex }) => !keptIndexes.has(originalIndex))
+        .map(({ step, originalIndex }) => ({ change: 'removed', originalIndex, step: summarizeStep(step) })),
+      ...working.flatMap((entry, index) => {
+        const position = index + 1;
+        if (entry.originalIndex === null) {
+          return [{ change: 'added', index: position, step: summarizeStep(entry.step) }];
+        }
+
+        const entryChanges = [];
+        if (entry.moved) {
+          entryChanges.push({ change: 'moved', from: entry.originalIndex, to: position });
+        }
+        if (entry.replaced) {
+          entryChanges.push({
+            change: 'replaced',
+            index: position,
+            before: summarizeStep(before[entry.originalIndex - 1]),
+            after: summarizeStep(entry.step)
+          });
+        }
+        return entryChanges;
+      })
+    ];
+
+    const items = working.map(entry => entry.step);
+    const snapshot = await captureSnapshot(testCaseKey);
+    await writeAllTestSteps(testCaseKey, items);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            message: `Successfully edited test steps of ${testCaseKey}`,
+            testCaseKey,
+            stepsBefore: before.length,
+            stepsAfter: items.length,
+            changes,
+            before: before.map(summarizeStep),
+            after: items.map(summarizeStep),
+            snapshotId: snapshot.id,
+            warning: 'If this test case had a test script, it has been implicitly removed'
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatError(error, `editing test steps of ${args.testCaseKey}`)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+// Input schema of a single test step, either inline or call-to-test
+const stepInputSchema = {
+  type: 'object',
+  properties: {
+    description: {
+      type: 'string',
+      description: 'Step description (required for inline steps)',
+      minLength: 1
+    },
+    expectedResult: {
+      type: 'string',
+      description: 'Expected result for this step'
+    },
+    data: {
+      type: 'string',
+      description: 'Test data for this step'
+    },
+    attachments: {
+      type: 'array',
+      description: 'Array of attachment objects',
+      items: {
+        type: 'object'
+      }
+    },
+    customFields: {
+      type: 'object',
+      description: 'Step custom field values keyed by field name'
+    },
+    testCaseKey: {
+      type: 'string',
+      description: 'Key of another test case to call instead of an inline description (call-to-test)',
+      pattern: config.testCaseKeyPattern.source
+    },
+    parameters: {
+      type: 'object',
+      description: 'Call-to-test parameter values keyed by parameter name; null uses the called test case default',
+      additionalProperties: {
+        type: ['string', 'number', 'boolean', 'null']
+      }
+    }
+  }
+};
+
 export const testStepsTools = [
   {
     name: 'get_test_steps',
+    readOnly: true,
     description: 'Get test steps for a test case (paged response, 100 items per page)',
     inputSchema: {
       type: 'object',
@@ -243,6 +546,7 @@ export const testStepsTools = [
   },
   {
     name: 'get_all_test_steps',
+    readOnly: true,
     description: 'Get all test steps for a test case (handles pagination automatically)',
     inputSchema: {
       type: 'object',
@@ -251,6 +555,11 @@ export const testStepsTools = [
           type: 'string',
           description: 'Test case key (format: [A-Z]+-T[0-9]+)',
           pattern: config.testCaseKeyPattern.source
+        },
+        expandCallToTest: {
+          type: 'boolean',
+          description: 'Expand call-to-test steps recursively into a flattened list of steps (default: false)',
+          default: false
         }
       },
       required: ['testCaseKey']
@@ -271,39 +580,58 @@ export const testStepsTools = [
         steps: {
           type: 'array',
           description: 'Array of test steps to append (max 100 steps)',
+          items: stepInputSchema,
+          minItems: 1,
+          maxItems: 100
+        },
+        dryRun: dryRunProperty
+      },
+      required: ['testCaseKey', 'steps']
+    },
+    handler: appendTestSteps
+  },
+  {
+    name: 'edit_test_steps',
+    description: 'Insert, replace, delete or reorder test steps of a test case and return a before/after diff',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        testCaseKey: {
+          type: 'string',
+          description: 'Test case key to edit steps of (format: [A-Z]+-T[0-9]+)',
+          pattern: config.testCaseKeyPattern.source
+        },
+        operations: {
+          type: 'array',
+          description: 'Operations applied in order; each index refers to the step list as left by the previous operations',
           items: {
             type: 'object',
             properties: {
-              description: {
+              action: {
                 type: 'string',
-                description: 'Step description (required)',
-                minLength: 1
+                description: 'insert: add step at index (default: end), replace: replace step at index, delete: remove step at index, move: move step at index to position "to"',
+                enum: ['insert', 'replace', 'delete', 'move']
               },
-              expectedResult: {
-                type: 'string',
-                description: 'Expected result for this step'
+              index: {
+                type: 'integer',
+                description: 'Step number the operation applies to (1-based)',
+                minimum: 1
               },
-              data: {
-                type: 'string',
-                description: 'Test data for this step'
+              to: {
+                type: 'integer',
+                description: 'New step number for move operations (1-based)',
+                minimum: 1
               },
-              attachments: {
-                type: 'array',
-                description: 'Array of attachment objects',
-                items: {
-                  type: 'object'
-                }
-              }
+              step: stepInputSchema
             },
-            required: ['description']
+            required: ['action']
           },
-          minItems: 1,
-          maxItems: 100
+          minItems: 1
         }
       },
-      required: ['testCaseKey', 'steps']
+      required: ['testCaseKey', 'operations']
     },
-    handler: appendTestSteps
+    handler: editTestSteps
   }
 ];
 
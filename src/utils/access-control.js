@@ -0,0 +1,148 @@
+/**
+ * Utility functions enforcing the safety modes (read-only, project allowlist/denylist)
+ * before a tool is executed
+ */
+
+import { config } from '../config.js';
+import { zephyrClient as client } from '../zephyr-client.js';
+
+// Zephyr and Jira keys start with the project key: PROJ-T12, PROJ-R3, PROJ-123, ...
+const DERIVED_KEY_PATTERN = /^([A-Z][A-Z_0-9]+)-[A-Z]?[0-9]+$/;
+
+// Arguments taking a key or a numeric ID: numeric IDs carry no project key, so the entity is looked up
+const ENTITY_LOOKUPS = {
+  testCycleKey: (id) => client.getTestCycle(id),
+  testExecutionKey: (id) => client.getTestExecution(id),
+  testPlanKey: (id) => client.getTestPlan(id),
+  parentFolderId: (id) => client.getFolder(id)
+};
+
+/**
+ * Checks whether a tool may change data. Tools only reading Zephyr data declare `readOnly: true`
+ * (tools writing local files only, like export_test_cases, included); every other tool is mutating.
+ */
+export function isMutatingTool(tool) {
+  return !tool.readOnly;
+}
+
+/**
+ * Checks whether a tool is available with the current safety modes
+ */
+export function isToolEnabled(tool) {
+  return !(config.readOnly && isMutatingTool(tool));
+}
+
+/**
+ * Adds the project key prefixing a key argument. Numeric IDs carry none (mutating tools look them up),
+ * any other value the project cannot be read from is refused rather than left unchecked.
+ */
+function addDerivedProjectKey(name, value, projectKeys) {
+  if (/^[0-9]+$/.test(value)) {
+    return;
+  }
+
+  const match = value.toUpperCase().match(DERIVED_KEY_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid ${name} "${value}": its project cannot be determined`);
+  }
+  projectKeys.add(match[1]);
+}
+
+/**
+ * Collects the project keys carried by tool arguments: `projectKey` (and `*ProjectKey`) values and the
+ * prefix of any other `*Key`/`*IdOrKey` value or `*Keys` item, including in nested objects and arrays
+ */
+export function collectProjectKeys(args, projectKeys = new Set()) {
+  if (Array.isArray(args)) {
+    args.forEach(item => collectProjectKeys(item, projectKeys));
+    return projectKeys;
+  }
+
+  if (!args || typeof args !== 'object') {
+    return projectKeys;
+  }
+
+  Object.entries(args).forEach(([name, value]) => {
+    if (typeof value === 'string' && (name === 'projectKey' || name.endsWith('ProjectKey'))) {
+      projectKeys.add(value.toUpperCase());
+    } else if (typeof value === 'string' && /(Key|IdOrKey)$/.test(name)) {
+      addDerivedProjectKey(name, value, projectKeys);
+    } else if (Array.isArray(value) && name.endsWith('Keys')) {
+      value.forEach(item => (typeof item === 'string'
+        ? addDerivedProjectKey(name, item, projectKeys)
+        : collectProjectKeys(item, projectKeys)));
+    } else {
+      collectProjectKeys(value, projectKeys);
+    }
+  });
+
+  return projectKeys;
+}
+
+/**
+ * Looks up the project keys of the entities given by numeric ID
+ */
+async function lookUpEntityProjectKeys(args) {
+  const lookups = Object.entries(ENTITY_LOOKUPS)
+    .filter(([name]) => /^[0-9]+$/.test(String(args[name] ?? '')))
+    .map(async ([name, lookUp]) => {
+      try {
+        const entity = await lookUp(args[name]);
+        const project = await client.getProject(entity.project.id);
+        return project.key;
+      } catch (error) {
+        throw new Error(`Unable to check the project of ${name} ${args[name]}: ${error.message}`);
+      }
+    });
+
+  return Promise.all(lookups);
+}
+
+/**
+ * Throws when a tool call is not allowed by the safety modes. Runs in the profile of the call,
+ * as entities given by numeric ID to mutating tools are looked up to check their project.
+ */
+export async function assertToolAllowed(tool, args) {
+  if (config.readOnly && isMutatingTool(tool)) {
+    throw new Error(`Tool ${tool.name} is disabled: the server is running in read-only mode (ZEPHYR_READ_ONLY)`);
+  }
+
+  const { projectAllowlist, projectDenylist } = config;
+  if (projectAllowlist.length === 0 && projectDenylist.length === 0) {
+    return;
+  }
+
+  const projectKeys = collectProjectKeys(args);
+
+  if (isMutatingTool(tool)) {
+    (await lookUpEntityProjectKeys(args)).forEach(projectKey => projectKeys.add(projectKey));
+
+    // A change to an entity of unknown project (e.g. a link by ID) could reach any project.
+    // Tools reading their project keys from local files check them themselves.
+    if (projectAllowlist.length > 0 && projectKeys.size === 0 && !tool.checksProjectAccess) {
+      throw new Error(`${tool.name} is refused: its project cannot be determined from the arguments, and only these projects are allowed: ${projectAllowlist.join(', ')}`);
+    }
+  }
+
+  // Without a project key, a project scoped tool would run across every project
+  if (projectAllowlist.length > 0 && projectKeys.size === 0 && tool.inputSchema?.properties?.projectKey) {
+    throw new Error(`projectKey is required: only these projects are allowed: ${projectAllowlist.join(', ')}`);
+  }
+
+  projectKeys.forEach(assertProjectAllowed);
+}
+
+/**
+ * Throws when a project is excluded by the project allowlist or denylist. Tools reading
+ * project keys from elsewhere than their arguments (e.g. local files) call it themselves.
+ */
+export function assertProjectAllowed(projectKey) {
+  const { projectAllowlist, projectDenylist } = config;
+
+  if (projectDenylist.includes(projectKey)) {
+    throw new Error(`Access to project ${projectKey} is denied (ZEPHYR_PROJECT_DENYLIST)`);
+  }
+  if (projectAllowlist.length > 0 && !projectAllowlist.includes(projectKey)) {
+    throw new Error(`Access to project ${projectKey} is not allowed. Allowed projects: ${projectAllowlist.join(', ')}`);
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Append-only JSONL audit log of every write request sent to Zephyr
+ *
+ * Each tool call runs in an audit context holding the tool name and the entities
+ * read during the call, so a write can record the state of its entity before the change.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { appendFile, mkdir, readFile } from 'fs/promises';
+import path from 'path';
+import { config } from '../config.js';
+
+const auditStorage = new AsyncLocalStorage();
+
+// Zephyr and Jira keys found in request URLs: PROJ-T12, PROJ-R3, PROJ-123, ...
+const ENTITY_KEY_PATTERN = /\/([A-Z][A-Z_0-9]+-[A-Z]?[0-9]+)(?=\/|$)/;
+
+let logDirectoryReady = null;
+
+/**
+ * Runs fn as the tool call `toolName`
+ */
+export function runWithAuditContext(toolName, fn) {
+  return auditStorage.run({ toolName, reads: new Map() }, fn);
+}
+
+/**
+ * Gets the name of the tool being executed, or null outside of a tool call
+ */
+export function getCurrentToolName() {
+  return auditStorage.getStore()?.toolName ?? null;
+}
+
+/**
+ * Remembers the response of a read so a later write to the same URL can log the previous state
+ */
+export function rememberRead(url, data) {
+  auditStorage.getStore()?.reads.set(url, data);
+}
+
+/**
+ * Gets the last response read from a URL during the current tool call
+ */
+export function getRememberedRead(url) {
+  return auditStorage.getStore()?.reads.get(url) ?? null;
+}
+
+/**
+ * Appends a write request to the audit log. Failing to log never fails the write.
+ */
+export async function recordWrite({ profile, method, url, baseUrl, params, payload, status, response, error, before }) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    toolName: getCurrentToolName(),
+    profile,
+    method: method.toUpperCase(),
+    url: `${baseUrl}${url}`,
+    entityKey: url.match(ENTITY_KEY_PATTERN)?.[1] ?? response?.key ?? null,
+    params,
+    // Multipart uploads (automation results) are not serializable
+    payload: payload instanceof FormData ? '[multipart/form-data]' : payload,
+    status: status ?? null,
+    before
+  };
+
+  if (error) {
+    entry.error = error;
+  }
+
+  try {
+    logDirectoryReady ??= mkdir(path.dirname(config.auditLogFile), { recursive: true });
+    await logDirectoryReady;
+    await appendFile(config.auditLogFile, `${JSON.stringify(entry)}\n`, 'utf8');
+  } catch (logError) {
+    console.error(`[Audit Log] Unable to write to ${config.auditLogFile}:`, logError.message);
+  }
+}
+
+/**
+ * Reads every entry of the audit log, oldest first
+ */
+export async function readAuditLog() {
+  let content;
+  try {
+    content = await readFile(config.auditLogFile, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  return content
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
@@ -0,0 +1,22 @@
+/**
+ * Utility function to run async work with bounded concurrency
+ */
+
+/**
+ * Maps items through an async function, running at most `limit` calls at a time.
+ * Results keep the order of the items.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,71 @@
+/**
+ * Minimal CSV parser (RFC 4180): quoted fields, escaped quotes ("") and line breaks inside quotes
+ */
+
+/**
+ * Parses CSV text into an array of rows, each an array of cell strings
+ */
+export function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip the byte order mark spreadsheet exports often start with
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parses CSV text with a header row into objects keyed by column name
+ */
+export function parseCsvRecords(text, delimiter = ',') {
+  const [header, ...rows] = parseCsv(text, delimiter);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+  return rows.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+}
@@ -0,0 +1,59 @@
+/**
+ * Utility functions for cursor-based paging: list tools hand out an opaque continuation token
+ * holding the next start ID and a fingerprint of the filters of the listing it continues.
+ * The filters themselves always come from the call's arguments, which the safety modes check.
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Fingerprints the filters of a listing, ignoring unset ones
+ */
+function fingerprint(filters) {
+  const set = Object.entries(filters)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .sort(([a], [b]) => a.localeCompare(b));
+  return createHash('sha256').update(JSON.stringify(set)).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Encodes the position of the next page of a listing into a continuation token
+ */
+export function encodeContinuationToken(startAtId, filters) {
+  return Buffer.from(JSON.stringify({ startAtId, filters: fingerprint(filters) })).toString('base64url');
+}
+
+/**
+ * Decodes a continuation token into the start ID of the next page. The filters must be those
+ * of the first page, as the next page would otherwise continue a different listing.
+ */
+export function decodeContinuationToken(token, filters) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch {
+    decoded = null;
+  }
+
+  if (!Number.isInteger(decoded?.startAtId) || decoded.startAtId < 0 || typeof decoded.filters !== 'string') {
+    throw new Error('Invalid continuationToken. Use the token returned by the previous page unchanged');
+  }
+
+  if (decoded.filters !== fingerprint(filters)) {
+    throw new Error('continuationToken was issued for other filters. Pass the same filters as for the first page');
+  }
+
+  return decoded.startAtId;
+}
+
+/**
+ * Builds the response fields of a cursor-paged listing
+ */
+export function cursorPage(response, filters) {
+  const nextStartAtId = response.nextStartAtId ?? null;
+  return {
+    limit: response.limit,
+    isLast: nextStartAtId === null,
+    continuationToken: nextStartAtId === null ? null : encodeContinuationToken(nextStartAtId, filters)
+  };
+}
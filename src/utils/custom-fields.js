@@ -0,0 +1,154 @@
+/**
+ * Utility functions to validate custom field values against their definitions
+ *
+ * The Zephyr Cloud API does not expose custom field definitions, so they are
+ * read from the JSON file named by ZEPHYR_CUSTOM_FIELDS_FILE, keyed by project
+ * key and entity type:
+ *
+ * {
+ *   "PROJ": {
+ *     "TEST_CASE": [
+ *       { "name": "Risk", "type": "SINGLE_CHOICE_SELECT_LIST", "options": ["Low", "High"], "required": true }
+ *     ],
+ *     "TEST_STEP": []
+ *   }
+ * }
+ */
+
+import { readFileSync } from 'fs';
+import { config } from '../config.js';
+
+let definitionsCache = null;
+
+/**
+ * Loads the custom field definitions file once
+ */
+function loadDefinitions() {
+  if (definitionsCache) {
+    return definitionsCache;
+  }
+
+  if (!config.customFieldsFile) {
+    definitionsCache = {};
+    return definitionsCache;
+  }
+
+  try {
+    definitionsCache = JSON.parse(readFileSync(config.customFieldsFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read custom field definitions from ${config.customFieldsFile}: ${error.message}`);
+  }
+
+  return definitionsCache;
+}
+
+/**
+ * Gets the custom field definitions of a project for an entity type
+ * (TEST_CASE, TEST_STEP, ...), or null when none are configured
+ */
+export function getCustomFieldDefinitions(projectKey, entityType) {
+  return loadDefinitions()[projectKey]?.[entityType] || null;
+}
+
+/**
+ * Checks a single value against its field definition, returning the
+ * normalized value or an error message
+ */
+function checkValue(definition, value) {
+  const findOption = (option) => (definition.options || []).find(
+    validOption => validOption.toLowerCase() === String(option).toLowerCase()
+  );
+
+  switch (definition.type) {
+  case 'CHECKBOX':
+    return typeof value === 'boolean' ? { value } : { error: 'must be a boolean' };
+  case 'NUMBER':
+    return Number.isInteger(value) ? { value } : { error: 'must be an integer' };
+  case 'DECIMAL':
+    return typeof value === 'number' ? { value } : { error: 'must be a number' };
+  case 'DATE':
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? { value }
+      : { error: 'must be a date in the format yyyy-MM-dd' };
+  case 'SINGLE_CHOICE_SELECT_LIST': {
+    const option = findOption(value);
+    return option
+      ? { value: option }
+      : { error: `must be one of: ${(definition.options || []).join(', ')}` };
+  }
+  case 'MULTI_CHOICE_SELECT_LIST': {
+    const values = Array.isArray(value) ? value : [value];
+    const options = values.map(findOption);
+    return options.every(Boolean)
+      ? { value: options }
+      : { error: `must only contain: ${(definition.options || []).join(', ')}` };
+  }
+  default:
+    // Text and user fields
+    return typeof value === 'string' ? { value } : { error: 'must be a string' };
+  }
+}
+
+/**
+ * Validates custom field values against the project's definitions and merges
+ * them over the existing values of the entity.
+ * Returns the merged values, or throws an error listing every problem.
+ * Only the given values are type-checked. Required fields are checked on the merged result when
+ * creating (no existing values) or when custom fields are given, so updates leaving them untouched
+ * still work on entities that predate a required field.
+ */
+export function validateCustomFields(projectKey, entityType, customFields, options = {}) {
+  const { existing = {}, label = 'customFields' } = options;
+  const definitions = getCustomFieldDefinitions(projectKey, entityType);
+  const values = customFields || {};
+
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`${label} must be an object of field name to value`);
+  }
+
+  if (!definitions) {
+    return { ...existing, ...values };
+  }
+
+  const errors = [];
+  const normalized = { ...existing };
+
+  Object.entries(values).forEach(([name, value]) => {
+    const definition = definitions.find(field => field.name === name);
+    if (!definition) {
+      errors.push(`Unknown field "${name}". Valid fields: ${definitions.map(field => field.name).join(', ')}`);
+      return;
+    }
+
+    // Null clears the field, which is only allowed for optional fields
+    if (value === null) {
+      normalized[name] = null;
+      return;
+    }
+
+    const result = checkValue(definition, value);
+    if (result.error) {
+      errors.push(`Field "${name}" ${result.error}`);
+    } else {
+      normalized[name] = result.value;
+    }
+  });
+
+  const checkRequired = !options.existing || (customFields !== undefined && customFields !== null);
+  if (checkRequired) {
+    definitions
+      .filter(field => field.required)
+      .forEach(field => {
+        const value = normalized[field.name];
+        if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+          errors.push(`Field "${field.name}" is required`);
+        }
+      });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${label}:\n- ${errors.join('\n- ')}`);
+  }
+
+  return normalized;
+}
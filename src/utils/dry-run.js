@@ -0,0 +1,93 @@
+/**
+ * Utility functions for dry-run mode: mutating tools build their payload as usual,
+ * but the write requests are captured instead of being sent
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { config } from '../config.js';
+
+const dryRunStorage = new AsyncLocalStorage();
+
+/**
+ * Checks whether a tool call runs in dry-run mode (the dryRun argument overrides ZEPHYR_DRY_RUN)
+ */
+export function isDryRun(args) {
+  return args.dryRun !== undefined ? Boolean(args.dryRun) : config.dryRun;
+}
+
+/**
+ * Gets the list capturing the write requests of the current dry run, or undefined outside of one
+ */
+export function getCapturedRequests() {
+  return dryRunStorage.getStore();
+}
+
+/**
+ * Runs write() and returns the write requests it would have sent.
+ * Read requests made by write() are still sent.
+ */
+export async function captureWriteRequests(write) {
+  const requests = [];
+  await dryRunStorage.run(requests, write);
+  return requests;
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Lists the fields changed between the current entity and the payload, as dotted paths.
+ * Objects are compared on the payload's fields only, as the current entity also holds
+ * read-only fields (self links, creation dates, ...); arrays are compared item by item.
+ */
+export function diffFields(current, payload, path = '') {
+  if (isPlainObject(payload)) {
+    const base = isPlainObject(current) ? current : {};
+    return Object.keys(payload).flatMap(field =>
+      diffFields(base[field], payload[field], path ? `${path}.${field}` : field)
+    );
+  }
+
+  if (Array.isArray(payload) && Array.isArray(current)) {
+    const length = Math.max(payload.length, current.length);
+    return Array.from({ length }, (_, index) => index).flatMap(index =>
+      diffFields(current[index], payload[index], `${path}[${index}]`)
+    );
+  }
+
+  const before = current === undefined ? null : current;
+  const after = payload === undefined ? null : payload;
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+
+  return [{ field: path, before, after }];
+}
+
+/**
+ * Builds the response of a dry run: the requests that would be sent and the field-level
+ * diff against the current entity (null for entities that do not exist yet).
+ * `requests` are write requests already captured while building the payload.
+ */
+export async function dryRunResponse({ description, write, current = null, payload, requests: capturedRequests = [] }) {
+  const requests = [...capturedRequests, ...await captureWriteRequests(write)];
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          dryRun: true,
+          message: `Dry run: nothing was changed. ${description}`,
+          requests,
+          changes: diffFields(current, payload)
+        }, null, 2)
+      }
+    ]
+  };
+}
+
+// Input schema property shared by the tools supporting dry runs
+export const dryRunProperty = {
+  type: 'boolean',
+  description: 'Return the requests that would be sent and the changed fields without changing anything (default: ZEPHYR_DRY_RUN)'
+};
@@ -0,0 +1,177 @@
+/**
+ * Utility functions to build folder trees and resolve slash-separated folder paths
+ * (e.g. "Regression/Checkout/Payments") to folder IDs
+ */
+
+import { zephyrClient as client } from '../zephyr-client.js';
+import { config } from '../config.js';
+import { captureWriteRequests } from './dry-run.js';
+
+export const FOLDER_TYPES = ['TEST_CASE', 'TEST_PLAN', 'TEST_CYCLE'];
+
+/**
+ * Fetches every folder of a project for a folder type (walks all pages)
+ */
+export async function fetchAllFolders(projectKey, folderType) {
+  return client.getAllPaginated(
+    (params) => client.getFolders({ ...params, projectKey, folderType }),
+    config.maxMaxResults
+  );
+}
+
+/**
+ * Builds the folder tree from a flat folder list, with the full path of every folder
+ */
+export function buildFolderTree(folders) {
+  const nodes = new Map(folders.map(folder => [folder.id, {
+    id: folder.id,
+    name: folder.name,
+    path: null,
+    children: []
+  }]));
+
+  const roots = [];
+  folders.forEach(folder => {
+    const node = nodes.get(folder.id);
+    const parent = folder.parentId ? nodes.get(folder.parentId) : null;
+    (parent ? parent.children : roots).push(node);
+  });
+
+  // Keep the order the folders have in Zephyr
+  const indexes = new Map(folders.map(folder => [folder.id, folder.index ?? 0]));
+  const setPaths = (children, parentPath) => {
+    children.sort((a, b) => indexes.get(a.id) - indexes.get(b.id));
+    children.forEach(node => {
+      node.path = parentPath ? `${parentPath}/${node.name}` : node.name;
+      setPaths(node.children, node.path);
+    });
+  };
+  setPaths(roots, '');
+
+  return roots;
+}
+
+/**
+ * Gets the IDs of a folder and of all its subfolders from a flat folder list
+ */
+export function getSubfolderIds(folders, folderId) {
+  const ids = new Set([folderId]);
+
+  // Children can be listed before their parents, so repeat until no folder is added
+  let added = true;
+  while (added) {
+    added = false;
+    folders.forEach(folder => {
+      if (ids.has(folder.parentId) && !ids.has(folder.id)) {
+        ids.add(folder.id);
+        added = true;
+      }
+    });
+  }
+
+  return ids;
+}
+
+/**
+ * Splits a folder path into folder names, ignoring leading, trailing and repeated slashes
+ */
+function splitFolderPath(folderPath) {
+  const names = folderPath.split('/').map(name => name.trim()).filter(Boolean);
+  if (names.length === 0) {
+    throw new Error(`Invalid folder path "${folderPath}"`);
+  }
+  return names;
+}
+
+/**
+ * Resolves a folder path to { folderId, createdFolders }. Missing folders are created when
+ * `createMissing` is set, otherwise an error lists the folders available at that level.
+ */
+export async function resolveFolderPath(projectKey, folderType, folderPath, options = {}) {
+  const { createMissing = false } = options;
+  const names = splitFolderPath(folderPath);
+  const folders = await fetchAllFolders(projectKey, folderType);
+
+  const createdFolders = [];
+  let parentId = null;
+  for (const [depth, name] of names.entries()) {
+    const siblings = folders.filter(folder => (folder.parentId ?? null) === parentId);
+    const match = siblings.find(folder => folder.name === name)
+      || siblings.find(folder => folder.name.toLowerCase() === name.toLowerCase());
+
+    if (match) {
+      parentId = match.id;
+      continue;
+    }
+
+    const missingPath = names.slice(0, depth + 1).join('/');
+    if (!createMissing) {
+      const available = siblings.map(folder => folder.name).join(', ') || 'none';
+      throw new Error(`Folder "${missingPath}" not found in ${projectKey} (${folderType}). Folders at this level: ${available}`);
+    }
+
+    const created = await client.createFolder({
+      name,
+      projectKey,
+      folderType,
+      ...(parentId ? { parentId } : {})
+    });
+    createdFolders.push(missingPath);
+
+    // Dry runs do not create anything, so the remaining folders cannot be resolved
+    if (!created?.id) {
+      return { folderId: null, createdFolders };
+    }
+
+    folders.push({ id: created.id, name, parentId });
+    parentId = created.id;
+  }
+
+  return { folderId: parentId, createdFolders };
+}
+
+/**
+ * Resolves a folder argument given either as `folderId` or as `folderPath` (mutually exclusive)
+ * to { folderId, createdFolders, requests }. folderId is undefined when neither is given.
+ * With `dryRun`, missing folders are not created: their requests are returned instead.
+ */
+export async function resolveFolderArgument(projectKey, folderType, args, options = {}) {
+  const { folderId, folderPath, createMissingFolders } = args;
+
+  if (folderId !== undefined && folderPath !== undefined) {
+    throw new Error('folderId and folderPath are mutually exclusive');
+  }
+
+  if (folderPath === undefined) {
+    return { folderId, createdFolders: [], requests: [] };
+  }
+
+  if (!projectKey) {
+    throw new Error('projectKey is required to resolve folderPath');
+  }
+
+  const resolve = () => resolveFolderPath(projectKey, folderType, folderPath, { createMissing: createMissingFolders });
+
+  if (!options.dryRun) {
+    return { ...await resolve(), requests: [] };
+  }
+
+  let resolved;
+  const requests = await captureWriteRequests(async () => {
+    resolved = await resolve();
+  });
+  return { ...resolved, requests };
+}
+
+// Input schema properties shared by the tools accepting folder paths
+export const folderPathProperties = {
+  folderPath: {
+    type: 'string',
+    description: 'Slash-separated folder path, e.g. "Regression/Checkout/Payments" (alternative to folderId)'
+  },
+  createMissingFolders: {
+    type: 'boolean',
+    description: 'Create the folders of folderPath that do not exist yet (default: false)',
+    default: false
+  }
+};
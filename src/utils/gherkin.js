@@ -0,0 +1,170 @@
+/**
+ * Minimal Gherkin parser for feature file import
+ *
+ * Supports Feature, Rule, Background, Scenario/Example, Scenario Outline/Template with
+ * Examples, tags, doc strings and data tables (English keywords only). Each scenario is
+ * turned into a Zephyr BDD script: the Background steps followed by the scenario steps
+ * and Examples, without the Feature and Scenario headers Zephyr adds on export.
+ */
+
+// Scenario tags naming the test case they belong to, as "@PROJ-T123" or "@TestCaseKey=PROJ-T123" (Zephyr exports)
+export const TEST_CASE_KEY_TAG_PATTERN = /^@(?:TestCaseKey=)?([A-Z][A-Z_0-9]+-T[0-9]+)$/;
+
+const FEATURE_PATTERN = /^Feature:\s*(.*)$/;
+const RULE_PATTERN = /^Rule:\s*(.*)$/;
+const BACKGROUND_PATTERN = /^Background:\s*(.*)$/;
+const SCENARIO_PATTERN = /^(Scenario Outline|Scenario Template|Scenario|Example):\s*(.*)$/;
+const EXAMPLES_PATTERN = /^(Examples|Scenarios):/;
+const STEP_PATTERN = /^(Given|When|Then|And|But|\*)(\s|$)/;
+const DOC_STRING_PATTERN = /^("""|```)/;
+
+const indentOf = (line) => line.match(/^\s*/)[0].length;
+
+/**
+ * Removes the indentation shared by every non-blank line
+ */
+function dedent(lines) {
+  const indents = lines.filter(line => line.trim()).map(indentOf);
+  const common = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map(line => line.slice(Math.min(common, indentOf(line))));
+}
+
+/**
+ * Removes leading and trailing blank lines
+ */
+export function trimBlankLines(lines) {
+  const first = lines.findIndex(line => line.trim());
+  if (first === -1) {
+    return [];
+  }
+  const last = lines.length - 1 - [...lines].reverse().findIndex(line => line.trim());
+  return lines.slice(first, last + 1);
+}
+
+/**
+ * Parses the tags of a tag line, ignoring trailing comments
+ */
+function parseTags(line) {
+  return line.replace(/\s#.*$/, '').split(/\s+/).filter(tag => tag.startsWith('@'));
+}
+
+/**
+ * Parses a feature file into its feature details and scenarios. Each scenario holds its
+ * `line` and `tagLine` (1-based, tagLine is null without tags), tags from the feature, rule
+ * and scenario, its description and its BDD script. Comments are dropped unless `keepComments`
+ * keeps those in scenario bodies.
+ */
+export function parseFeature(text, options = {}) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const feature = { name: null, tags: [], description: [], background: [] };
+  const scenarios = [];
+
+  let rule = null;
+  let block = null; // { type: 'feature' | 'background' | 'scenario', lines, owner }
+  let pendingTags = [];
+  let pendingTagLines = [];
+  let docStringDelimiter = null;
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+
+    // Doc string content is kept verbatim
+    if (docStringDelimiter) {
+      block?.lines.push(rawLine);
+      if (line.startsWith(docStringDelimiter)) {
+        docStringDelimiter = null;
+      }
+      return;
+    }
+
+    // Comments are dropped, except in scenario bodies with `keepComments` (scripts kept as written)
+    const isComment = line.startsWith('#');
+    if (isComment && !(options.keepComments && block?.type === 'scenario')) {
+      return;
+    }
+
+    if (line.startsWith('@')) {
+      pendingTags.push(...parseTags(line));
+      pendingTagLines.push({ index, rawLine });
+      return;
+    }
+
+    const takeTags = () => {
+      const tags = { tags: pendingTags, tagLines: pendingTagLines };
+      pendingTags = [];
+      pendingTagLines = [];
+      return tags;
+    };
+
+    let match;
+    if ((match = line.match(FEATURE_PATTERN))) {
+      feature.name = match[1].trim();
+      feature.tags = takeTags().tags;
+      block = { type: 'feature', lines: feature.description };
+    } else if ((match = line.match(RULE_PATTERN))) {
+      rule = { name: match[1].trim(), tags: takeTags().tags, background: [] };
+      block = { type: 'rule', lines: [] };
+    } else if (line.match(BACKGROUND_PATTERN)) {
+      takeTags();
+      block = { type: 'background', lines: rule ? rule.background : feature.background };
+    } else if ((match = line.match(SCENARIO_PATTERN))) {
+      const { tags, tagLines } = takeTags();
+      const scenario = {
+        keyword: match[1],
+        name: match[2].trim(),
+        line: index + 1,
+        tagLine: tagLines.length > 0 ? tagLines[0].index + 1 : null,
+        ownTags: tags,
+        tags: [...new Set([...feature.tags, ...(rule?.tags || []), ...tags])],
+        rule: rule?.name || null,
+        backgrounds: [feature.background, rule?.background || []],
+        description: [],
+        body: []
+      };
+      scenarios.push(scenario);
+      block = { type: 'scenario', lines: scenario.body, scenario };
+    } else if (block?.type === 'scenario') {
+      const isContent = STEP_PATTERN.test(line) || line.startsWith('|') || EXAMPLES_PATTERN.test(line)
+        || DOC_STRING_PATTERN.test(line) || isComment || block.lines.length > 0;
+
+      // Examples keep their tags, scenario text before the first step is its description
+      if (EXAMPLES_PATTERN.test(line)) {
+        block.lines.push(...takeTags().tagLines.map(tagLine => tagLine.rawLine));
+      }
+
+      if (isContent) {
+        block.lines.push(rawLine);
+      } else if (line || block.scenario.description.length > 0) {
+        block.scenario.description.push(line);
+      }
+    } else if (block) {
+      block.lines.push(block.type === 'feature' ? line : rawLine);
+    }
+
+    const docString = line.match(DOC_STRING_PATTERN);
+    if (docString) {
+      docStringDelimiter = docString[1];
+    }
+  });
+
+  if (docStringDelimiter) {
+    throw new Error(`Unterminated doc string (${docStringDelimiter})`);
+  }
+
+  if (!feature.name && scenarios.length === 0) {
+    throw new Error('No Feature or Scenario found');
+  }
+
+  return {
+    name: feature.name,
+    tags: feature.tags,
+    description: trimBlankLines(feature.description).join('\n'),
+    scenarios: scenarios.map(({ backgrounds, body, description, ...scenario }) => ({
+      ...scenario,
+      description: trimBlankLines(description).join('\n'),
+      script: [...backgrounds, body]
+        .flatMap(lines => dedent(trimBlankLines(lines)))
+        .join('\n')
+    }))
+  };
+}
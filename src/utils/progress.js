@@ -0,0 +1,32 @@
+/**
+ * Progress notifications of long-running tool calls
+ *
+ * MCP clients ask for progress by sending a progressToken with a tool call. The call then
+ * runs in a progress context, through which tools report how much of their work is done.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const progressStorage = new AsyncLocalStorage();
+
+/**
+ * Runs fn with `notify({ progress, total })` receiving its progress, or without progress
+ * reporting when notify is null
+ */
+export function runWithProgress(notify, fn) {
+  return notify ? progressStorage.run({ notify }, fn) : fn();
+}
+
+/**
+ * Reports the progress of the current tool call. Failures to notify never fail the call.
+ */
+export function reportProgress(progress, total) {
+  const notify = progressStorage.getStore()?.notify;
+  if (!notify) {
+    return;
+  }
+
+  Promise.resolve(notify({ progress, total })).catch(error => {
+    console.error('[Progress] Failed to send progress notification:', error.message);
+  });
+}
@@ -0,0 +1,71 @@
+/**
+ * Utility functions to resolve Zephyr reference data (statuses, priorities) by name or ID
+ */
+
+import { config } from '../config.js';
+
+/**
+ * Fetches every status of a project for the given entity type
+ * (TEST_CASE, TEST_PLAN, TEST_CYCLE or TEST_EXECUTION)
+ */
+export async function getProjectStatuses(client, projectKey, statusType) {
+  return client.getAllPaginated(
+    (params) => client.getStatuses({ ...params, projectKey, statusType }),
+    config.maxMaxResults
+  );
+}
+
+/**
+ * Fetches every priority of a project
+ */
+export async function getProjectPriorities(client, projectKey) {
+  return client.getAllPaginated(
+    (params) => client.getPriorities({ ...params, projectKey }),
+    config.maxMaxResults
+  );
+}
+
+/**
+ * Finds a non-archived option by name (case-insensitive).
+ * Throws an error listing the valid names when there is no match.
+ */
+export function findOptionByName(options, name, label) {
+  const available = options.filter(option => !option.archived);
+  const match = available.find(option => option.name.toLowerCase() === name.trim().toLowerCase());
+
+  if (!match) {
+    const validNames = available.map(option => option.name).join(', ');
+    throw new Error(`Unknown ${label} "${name}". Valid options: ${validNames}`);
+  }
+
+  return match;
+}
+
+/**
+ * Finds a non-archived option by ID.
+ * Throws an error listing the valid IDs and names when there is no match.
+ */
+export function findOptionById(options, id, label) {
+  const available = options.filter(option => !option.archived);
+  const match = available.find(option => option.id === Number(id));
+
+  if (!match) {
+    const validIds = available.map(option => `${option.id} (${option.name})`).join(', ');
+    throw new Error(`Unknown ${label} ID ${id}. Valid options: ${validIds}`);
+  }
+
+  return match;
+}
+
+/**
+ * Finds an option from either its name or its ID, which are mutually exclusive
+ */
+export function findOption(options, name, id, label) {
+  if (name && id) {
+    throw new Error(`${label}Name and ${label}Id are mutually exclusive`);
+  }
+
+  return name
+    ? findOptionByName(options, name, label)
+    : findOptionById(options, id, label);
+}
@@ -0,0 +1,101 @@
+/**
+ * Local snapshots of test cases, taken before every change so it can be reverted
+ *
+ * Snapshots are stored as JSON files in <snapshotDir>/<profile>/<testCaseKey>/<id>.json
+ */
+
+import { mkdir, readdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { config } from '../config.js';
+import { getCurrentProfile } from '../profiles.js';
+import { getCurrentToolName } from './audit-log.js';
+import { fetchTestCaseState } from './test-case-state.js';
+
+/**
+ * Gets the snapshot directory of a test case. The key becomes a path segment, so it must be a plain key.
+ */
+function snapshotDirectory(testCaseKey) {
+  if (!/^[A-Z][A-Z_0-9]+-T[0-9]+$/.test(testCaseKey)) {
+    throw new Error(`Invalid testCaseKey "${testCaseKey}"`);
+  }
+  return path.join(config.snapshotDir, getCurrentProfile().name, testCaseKey);
+}
+
+/**
+ * Stores the current state of a test case (fields and steps or script) and returns the snapshot
+ * summary. `testCase` or `state` avoid fetching again what the caller already has.
+ */
+export async function captureSnapshot(testCaseKey, options = {}) {
+  const directory = snapshotDirectory(testCaseKey);
+  const state = options.state || await fetchTestCaseState(testCaseKey, { testCase: options.testCase });
+  const takenAt = new Date().toISOString();
+  const snapshot = {
+    id: takenAt.replace(/[:.]/g, '-'),
+    testCaseKey,
+    takenAt,
+    toolName: getCurrentToolName(),
+    ...state
+  };
+
+  await mkdir(directory, { recursive: true });
+  await writeFile(path.join(directory, `${snapshot.id}.json`), JSON.stringify(snapshot, null, 2), 'utf8');
+
+  return summarizeSnapshot(snapshot);
+}
+
+/**
+ * Summarizes a snapshot for listings and responses
+ */
+function summarizeSnapshot(snapshot) {
+  return {
+    id: snapshot.id,
+    takenAt: snapshot.takenAt,
+    toolName: snapshot.toolName,
+    name: snapshot.testCase?.name,
+    stepsCount: snapshot.testSteps.length,
+    hasTestScript: Boolean(snapshot.testScript)
+  };
+}
+
+/**
+ * Lists the snapshots of a test case, newest first
+ */
+export async function listSnapshots(testCaseKey) {
+  let files;
+  try {
+    files = await readdir(snapshotDirectory(testCaseKey));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const snapshots = await Promise.all(
+    files
+      .filter(file => file.endsWith('.json'))
+      .map(file => loadSnapshot(testCaseKey, path.basename(file, '.json')))
+  );
+
+  return snapshots
+    .map(summarizeSnapshot)
+    .sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+}
+
+/**
+ * Loads a snapshot of a test case by ID
+ */
+export async function loadSnapshot(testCaseKey, snapshotId) {
+  if (!/^[0-9TZ-]+$/.test(snapshotId)) {
+    throw new Error(`Invalid snapshotId "${snapshotId}"`);
+  }
+
+  try {
+    return JSON.parse(await readFile(path.join(snapshotDirectory(testCaseKey), `${snapshotId}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Snapshot ${snapshotId} of ${testCaseKey} not found. Use list_test_case_snapshots to see the available snapshots`);
+    }
+    throw error;
+  }
+}
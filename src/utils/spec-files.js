@@ -0,0 +1,411 @@
+/**
+ * Utility functions to render test cases as local spec files and parse them back
+ *
+ * Test cases with a BDD script become `.feature` files, with status and priority in header
+ * comments and labels as tags (unless a label cannot be a tag, e.g. it holds a space).
+ * Every other test case becomes a Markdown file with front-matter (key, status, priority,
+ * labels) and sections for the objective, precondition and steps or script.
+ * Both are compared through the same "spec" object, so a file that was not edited parses back
+ * to the spec it was rendered from.
+ */
+
+import { parseFeature, trimBlankLines, TEST_CASE_KEY_TAG_PATTERN } from './gherkin.js';
+
+export const SPEC_EXTENSIONS = {
+  feature: '.feature',
+  markdown: '.md'
+};
+
+// Fields compared between specs, in the order changes are reported
+export const SPEC_FIELDS = ['name', 'status', 'priority', 'labels', 'objective', 'precondition', 'steps', 'script'];
+
+// Scripts with their own Gherkin headers cannot be nested in a feature file
+const GHERKIN_HEADER_PATTERN = /^\s*(Feature|Rule|Background|Scenario|Scenario Outline|Scenario Template|Example):/m;
+
+// Labels written as tags: whitespace would split them into several tags
+const TAG_LABEL_PATTERN = /^[^\s@]+$/;
+
+const CALL_STEP_PATTERN = /^Call to test:\s*(\S+)$/;
+const FENCE_PATTERN = /^(`{3,}|~{3,})/;
+
+// Text lines that would read as headings, fences or call steps are escaped with a backslash
+// (lines already starting with backslashes get one more, so escaping can be undone)
+const ESCAPED_LINE_PATTERN = /^\\*(?:#{1,4}\s|\s*`{3,}|\s*~{3,}|\s*Call to test:)/;
+
+/**
+ * Normalizes multi-line text: no trailing spaces, no surrounding blank lines, null when empty.
+ * `trimLines` also removes the indentation, which Gherkin descriptions do not keep.
+ */
+function normalizeText(value, options = {}) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const lines = String(value).replace(/\r\n?/g, '\n').split('\n')
+    .map(line => (options.trimLines ? line.trim() : line.replace(/\s+$/, '')));
+  const text = trimBlankLines(lines).join('\n');
+  return text || null;
+}
+
+const indent = (text, prefix) => text.split('\n').map(line => (line ? `${prefix}${line}` : line));
+
+/**
+ * Converts a test step returned by the API into a spec step
+ */
+function toSpecStep(step) {
+  if (step.testCase) {
+    const { testCaseKey, parameters } = step.testCase;
+    return parameters && Object.keys(parameters).length > 0 ? { testCaseKey, parameters } : { testCaseKey };
+  }
+
+  const specStep = { description: normalizeText(step.inline?.description) };
+  const testData = normalizeText(step.inline?.testData);
+  const expectedResult = normalizeText(step.inline?.expectedResult);
+  if (testData) specStep.testData = testData;
+  if (expectedResult) specStep.expectedResult = expectedResult;
+  return specStep;
+}
+
+/**
+ * Converts a spec step into the TestStep input schema (toStepInput of utils/test-steps.js
+ * converts steps read from Zephyr instead)
+ */
+export function specStepToStepInput(specStep) {
+  if (specStep.testCaseKey) {
+    const { testCaseKey, parameters } = specStep;
+    return { testCase: parameters ? { testCaseKey, parameters } : { testCaseKey } };
+  }
+
+  const { description, testData, expectedResult } = specStep;
+  const inline = { description };
+  if (testData) inline.testData = testData;
+  if (expectedResult) inline.expectedResult = expectedResult;
+  return { inline };
+}
+
+/**
+ * Builds the spec of a test case state ({ testCase, testSteps, testScript }). Statuses and
+ * priorities are the project options, to name them.
+ */
+export function toSpec(state, { statuses, priorities }) {
+  const { testCase, testSteps, testScript } = state;
+  const nameOf = (options, reference) => options.find(option => option.id === reference?.id)?.name ?? null;
+  const script = testScript ? { type: testScript.type, text: normalizeText(testScript.text) } : null;
+  const format = testSteps.length === 0 && script?.type === 'bdd' && !GHERKIN_HEADER_PATTERN.test(script.text || '')
+    && (testCase.labels || []).every(label => TAG_LABEL_PATTERN.test(label))
+    ? 'feature'
+    : 'markdown';
+
+  const spec = {
+    key: testCase.key,
+    format,
+    name: testCase.name,
+    status: nameOf(statuses, testCase.status),
+    priority: nameOf(priorities, testCase.priority),
+    labels: testCase.labels || [],
+    objective: normalizeText(testCase.objective, { trimLines: format === 'feature' })
+  };
+
+  if (format === 'feature') {
+    return { ...spec, script };
+  }
+
+  spec.precondition = normalizeText(testCase.precondition);
+  if (testSteps.length > 0) {
+    spec.steps = testSteps.map(toSpecStep);
+  } else if (script) {
+    spec.script = script;
+  }
+  return spec;
+}
+
+/**
+ * Lists the fields that differ between two specs
+ */
+export function changedSpecFields(from, to) {
+  return SPEC_FIELDS.filter(field => JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null));
+}
+
+/**
+ * Renders a spec as a feature file with a single scenario
+ */
+function renderFeature(spec) {
+  const tags = [`@TestCaseKey=${spec.key}`, ...spec.labels.map(label => `@${label}`)];
+  const keyword = /^\s*Examples:/m.test(spec.script.text || '') ? 'Scenario Outline' : 'Scenario';
+
+  return [
+    ...(spec.status ? [`# status: ${spec.status}`] : []),
+    ...(spec.priority ? [`# priority: ${spec.priority}`] : []),
+    `Feature: ${spec.name}`,
+    '',
+    `  ${tags.join(' ')}`,
+    `  ${keyword}: ${spec.name}`,
+    ...(spec.objective ? [...indent(spec.objective, '    '), ''] : []),
+    ...indent(spec.script.text || '', '    '),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Parses a feature file rendered by renderFeature (and possibly edited) back into a spec
+ */
+function parseFeatureSpec(text) {
+  const feature = parseFeature(text, { keepComments: true });
+  if (feature.scenarios.length !== 1) {
+    throw new Error(`Expected exactly one scenario, found ${feature.scenarios.length}`);
+  }
+
+  const [scenario] = feature.scenarios;
+  const keys = scenario.ownTags.map(tag => tag.match(TEST_CASE_KEY_TAG_PATTERN)?.[1]).filter(Boolean);
+  // Header comments come before the Feature line, the script may hold comments of its own
+  const headerText = text.split(/^\s*Feature:/m)[0];
+  const header = (name) => headerText.match(new RegExp(`^#\\s*${name}:\\s*(.*?)\\s*$`, 'mi'))?.[1] || null;
+
+  return {
+    key: keys[0] || null,
+    format: 'feature',
+    name: scenario.name,
+    status: header('status'),
+    priority: header('priority'),
+    labels: scenario.tags.filter(tag => !TEST_CASE_KEY_TAG_PATTERN.test(tag)).map(tag => tag.slice(1)),
+    objective: normalizeText(scenario.description, { trimLines: true }),
+    script: { type: 'bdd', text: normalizeText(scenario.script) }
+  };
+}
+
+/**
+ * Formats a front-matter value, quoting it as JSON unless it is a plain word or phrase
+ */
+function formatFrontMatterValue(value) {
+  return typeof value === 'string' && /^[\w][\w .-]*$/.test(value) ? value : JSON.stringify(value);
+}
+
+/**
+ * Wraps text in a code fence longer than any fence it contains
+ */
+function fence(text, language) {
+  const longest = Math.max(2, ...(text.match(/`{3,}/g) || []).map(match => match.length));
+  const marker = '`'.repeat(longest + 1);
+  return [`${marker}${language}`, text, marker];
+}
+
+/**
+ * Escapes the lines of a text written in a Markdown section
+ */
+const escapeText = (text) => text.split('\n').map(line => (ESCAPED_LINE_PATTERN.test(line) ? `\\${line}` : line)).join('\n');
+
+/**
+ * Undoes escapeText on one line
+ */
+const unescapeLine = (line) => (line.startsWith('\\') && ESCAPED_LINE_PATTERN.test(line) ? line.slice(1) : line);
+
+/**
+ * Renders a spec as a Markdown file
+ */
+function renderMarkdown(spec) {
+  const frontMatter = { key: spec.key, status: spec.status, priority: spec.priority, labels: spec.labels };
+  const lines = [
+    '---',
+    ...Object.entries(frontMatter)
+      .filter(([, value]) => value !== null)
+      .map(([name, value]) => `${name}: ${formatFrontMatterValue(value)}`),
+    '---',
+    '',
+    `# ${spec.name}`
+  ];
+
+  const section = (title, body) => lines.push('', `## ${title}`, '', ...body);
+
+  if (spec.objective) section('Objective', [escapeText(spec.objective)]);
+  if (spec.precondition) section('Precondition', [escapeText(spec.precondition)]);
+
+  if (spec.steps) {
+    section('Steps', []);
+    spec.steps.forEach((step, index) => {
+      lines.push(`### Step ${index + 1}`, '');
+      if (step.testCaseKey) {
+        lines.push(`Call to test: ${step.testCaseKey}`, '');
+        if (step.parameters) lines.push(...fence(JSON.stringify(step.parameters, null, 2), 'json'), '');
+        return;
+      }
+      lines.push(escapeText(step.description || ''), '');
+      if (step.testData) lines.push('#### Test data', '', escapeText(step.testData), '');
+      if (step.expectedResult) lines.push('#### Expected result', '', escapeText(step.expectedResult), '');
+    });
+    lines.pop();
+  }
+
+  if (spec.script) {
+    section(`Script (${spec.script.type})`, fence(spec.script.text || '', spec.script.type === 'bdd' ? 'gherkin' : 'text'));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parses the front-matter of a Markdown file into { values, body }
+ */
+function parseFrontMatter(lines) {
+  if (lines[0]?.trim() !== '---') {
+    throw new Error('Missing front-matter (a block between "---" lines at the top of the file)');
+  }
+
+  const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+  if (end === -1) {
+    throw new Error('Unterminated front-matter');
+  }
+
+  const values = {};
+  lines.slice(1, end).filter(line => line.trim()).forEach(line => {
+    const match = line.match(/^(\w+):\s*(.*?)\s*$/);
+    if (!match) {
+      throw new Error(`Invalid front-matter line "${line}"`);
+    }
+    const [, name, value] = match;
+    values[name] = /^["[{]/.test(value) ? JSON.parse(value) : value || null;
+  });
+
+  return { values, body: lines.slice(end + 1) };
+}
+
+/**
+ * Removes the code fence around text, if any
+ */
+function unfence(lines) {
+  const trimmed = trimBlankLines(lines);
+  const opening = trimmed[0]?.match(FENCE_PATTERN);
+  if (opening && trimmed.length > 1 && trimmed[trimmed.length - 1].trim() === opening[1]) {
+    return trimmed.slice(1, -1);
+  }
+  return trimmed;
+}
+
+/**
+ * Parses a spec step from the lines of its "### Step" section
+ */
+function parseStep({ description, testData, expectedResult }) {
+  const body = trimBlankLines(description);
+  const call = body[0]?.trim().match(CALL_STEP_PATTERN);
+  if (call) {
+    const parameters = unfence(body.slice(1));
+    return parameters.length > 0
+      ? { testCaseKey: call[1], parameters: JSON.parse(parameters.join('\n')) }
+      : { testCaseKey: call[1] };
+  }
+
+  const step = { description: normalizeText(body.map(unescapeLine).join('\n')) };
+  if (!step.description) {
+    throw new Error('Every step needs a description');
+  }
+  const data = normalizeText(testData.map(unescapeLine).join('\n'));
+  const expected = normalizeText(expectedResult.map(unescapeLine).join('\n'));
+  if (data) step.testData = data;
+  if (expected) step.expectedResult = expected;
+  return step;
+}
+
+/**
+ * Parses a Markdown file rendered by renderMarkdown (and possibly edited) back into a spec
+ */
+function parseMarkdownSpec(text) {
+  const { values, body } = parseFrontMatter(text.replace(/\r\n?/g, '\n').split('\n'));
+  const sections = {};
+  const steps = [];
+  let name = null;
+  let bucket = null;
+  let openFence = null;
+
+  body.forEach(line => {
+    const fenceMatch = line.trim().match(FENCE_PATTERN);
+    if (openFence) {
+      if (fenceMatch && line.trim() === openFence) openFence = null;
+      bucket?.push(line);
+      return;
+    }
+    if (fenceMatch) {
+      openFence = fenceMatch[1];
+      bucket?.push(line);
+      return;
+    }
+
+    const heading = line.match(/^(#{1,4})\s+(.*?)\s*$/);
+    if (!heading) {
+      bucket?.push(line);
+      return;
+    }
+
+    const [, level, title] = heading;
+    if (level === '#') {
+      name = title;
+      bucket = null;
+    } else if (level === '##') {
+      const script = title.match(/^Script(?:\s*\((\w+)\))?$/i);
+      const key = script ? 'script' : title.toLowerCase();
+      if (!['objective', 'precondition', 'steps', 'script'].includes(key)) {
+        throw new Error(`Unknown section "## ${title}". Sections: Objective, Precondition, Steps, Script (type)`);
+      }
+      if (script) sections.scriptType = (script[1] || 'plain').toLowerCase();
+      sections[key] = [];
+      bucket = sections[key];
+    } else if (level === '###' && sections.steps) {
+      steps.push({ description: [], testData: [], expectedResult: [] });
+      bucket = steps[steps.length - 1].description;
+    } else if (level === '####' && steps.length > 0) {
+      const field = { 'test data': 'testData', 'expected result': 'expectedResult' }[title.toLowerCase()];
+      if (!field) {
+        throw new Error(`Unknown step section "#### ${title}". Sections: Test data, Expected result`);
+      }
+      bucket = steps[steps.length - 1][field];
+    } else {
+      bucket?.push(line);
+    }
+  });
+
+  if (!name) {
+    throw new Error('Missing the test case name (a "# Name" heading)');
+  }
+
+  if (sections.steps && sections.script) {
+    throw new Error('A test case has either steps or a script, not both');
+  }
+
+  const spec = {
+    key: values.key || null,
+    format: 'markdown',
+    name,
+    status: values.status || null,
+    priority: values.priority || null,
+    labels: Array.isArray(values.labels) ? values.labels : [],
+    objective: normalizeText(sections.objective?.map(unescapeLine).join('\n')),
+    precondition: normalizeText(sections.precondition?.map(unescapeLine).join('\n'))
+  };
+
+  // An empty Steps section means no steps, like a test case without steps renders
+  if (steps.length > 0) {
+    spec.steps = steps.map((step, index) => {
+      try {
+        return parseStep(step);
+      } catch (error) {
+        throw new Error(`Step ${index + 1}: ${error.message}`);
+      }
+    });
+  } else if (sections.script) {
+    spec.script = { type: sections.scriptType, text: normalizeText(unfence(sections.script).join('\n')) };
+  }
+
+  return spec;
+}
+
+/**
+ * Renders a spec as the content of its file
+ */
+export function renderSpec(spec) {
+  return spec.format === 'feature' ? renderFeature(spec) : renderMarkdown(spec);
+}
+
+/**
+ * Parses the content of a spec file, in the format given by its extension
+ */
+export function parseSpec(text, format) {
+  return format === 'feature' ? parseFeatureSpec(text) : parseMarkdownSpec(text);
+}
@@ -0,0 +1,122 @@
+/**
+ * Utility functions to compare two states of a test case (versions, snapshots or the current state)
+ */
+
+import { summarizeStep } from './test-steps.js';
+
+// Fields compared between two states, ignoring IDs, links and timestamps
+const COMPARED_FIELDS = [
+  'name',
+  'objective',
+  'precondition',
+  'estimatedTime',
+  'labels',
+  'component',
+  'priority',
+  'status',
+  'folder',
+  'owner'
+];
+
+// Link objects ({ id, self }) are compared by ID only
+const comparable = (value) => {
+  if (value && typeof value === 'object' && !Array.isArray(value) && 'self' in value) {
+    return value.id ?? value.accountId ?? null;
+  }
+  return value ?? null;
+};
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Lists the fields, and custom fields, that differ between two test cases
+ */
+export function diffTestCaseFields(from, to) {
+  const changes = COMPARED_FIELDS
+    .map(field => ({ field, before: comparable(from[field]), after: comparable(to[field]) }))
+    .filter(change => !same(change.before, change.after));
+
+  const customFieldNames = new Set([
+    ...Object.keys(from.customFields || {}),
+    ...Object.keys(to.customFields || {})
+  ]);
+
+  customFieldNames.forEach(name => {
+    const before = from.customFields?.[name] ?? null;
+    const after = to.customFields?.[name] ?? null;
+    if (!same(before, after)) {
+      changes.push({ field: `customFields.${name}`, before, after });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Diffs two sequences on their longest common subsequence. A removal followed by an
+ * addition at the same place is reported as a change. Indexes are 1-based.
+ */
+export function diffSequences(before, after) {
+  const keys = (items) => items.map(item => JSON.stringify(item));
+  const a = keys(before);
+  const b = keys(after);
+
+  // lengths[i][j]: length of the common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (j >= b.length || (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      operations.push({ change: 'removed', index: i + 1, before: before[i] });
+      i++;
+    } else {
+      operations.push({ change: 'added', index: j + 1, after: after[j] });
+      j++;
+    }
+  }
+
+  // Pair each removal directly followed by an addition into a change
+  const changes = [];
+  operations.forEach(operation => {
+    const previous = changes[changes.length - 1];
+    if (operation.change === 'added' && previous?.change === 'removed') {
+      changes[changes.length - 1] = {
+        change: 'changed',
+        index: operation.index,
+        before: previous.before,
+        after: operation.after
+      };
+    } else {
+      changes.push(operation);
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Compares two test case states ({ testCase, testSteps, testScript }) field by field,
+ * step by step and, for scripts, line by line
+ */
+export function diffTestCaseStates(from, to) {
+  const fromScript = from.testScript?.text ?? null;
+  const toScript = to.testScript?.text ?? null;
+
+  return {
+    fields: diffTestCaseFields(from.testCase, to.testCase),
+    steps: diffSequences(from.testSteps.map(summarizeStep), to.testSteps.map(summarizeStep)),
+    script: fromScript === toScript
+      ? []
+      : diffSequences((fromScript || '').split('\n'), (toScript || '').split('\n'))
+  };
+}
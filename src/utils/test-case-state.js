@@ -0,0 +1,63 @@
+/**
+ * Utility functions to read the full state of a test case: its fields and its steps or script
+ */
+
+import { zephyrClient as client } from '../zephyr-client.js';
+import { fetchAllTestSteps } from './test-steps.js';
+
+/**
+ * Gets the test script of a test case, or null when it has none
+ */
+export async function fetchTestScript(testCaseKey) {
+  try {
+    return await client.getTestScript(testCaseKey);
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Follows the testScript link of a test case version, which points at its steps or its script
+ */
+async function fetchVersionContent(testCase) {
+  const link = testCase.testScript?.self;
+  if (!link) {
+    return { testSteps: [], testScript: null };
+  }
+
+  if (/\/teststeps\/?$/i.test(link)) {
+    const testSteps = await client.getAllPaginated(
+      (params) => client.getLinkedResource(link, params),
+      100
+    );
+    return { testSteps, testScript: null };
+  }
+
+  return { testSteps: [], testScript: await client.getLinkedResource(link) };
+}
+
+/**
+ * Fetches a test case (or one of its versions) with its steps or script.
+ * `testCase` avoids fetching the current test case again when the caller already has it.
+ */
+export async function fetchTestCaseState(testCaseKey, options = {}) {
+  const { version, testCase } = options;
+
+  if (version !== undefined) {
+    const versionTestCase = await client.getTestCaseVersion(testCaseKey, version);
+    return { testCase: versionTestCase, ...await fetchVersionContent(versionTestCase) };
+  }
+
+  const [currentTestCase, testSteps] = await Promise.all([
+    testCase || client.getTestCase(testCaseKey),
+    fetchAllTestSteps(testCaseKey)
+  ]);
+
+  // Steps and scripts are mutually exclusive, only look for a script without steps
+  const testScript = testSteps.length === 0 ? await fetchTestScript(testCaseKey) : null;
+
+  return { testCase: currentTestCase, testSteps, testScript };
+}
@@ -0,0 +1,35 @@
+/**
+ * Utility function to build full test case update payloads
+ */
+
+const reference = (id) => (id ? { id } : null);
+
+/**
+ * Builds the PUT payload of a test case from its current state, overriding the given fields
+ * (name, objective, precondition, estimatedTime, labels, statusId, priorityId, folderId, componentId,
+ * ownerId, customFields). Null clears folderId, componentId and ownerId.
+ * The API clears every field left out of the PUT, so all other fields keep their current value.
+ */
+export function buildTestCaseUpdate(currentTestCase, changes = {}) {
+  const pick = (field, current = currentTestCase[field]) => (changes[field] !== undefined ? changes[field] : current);
+  const ownerId = pick('ownerId', currentTestCase.owner?.accountId);
+
+  return {
+    id: currentTestCase.id,
+    key: currentTestCase.key,
+    name: pick('name'),
+    project: {
+      id: currentTestCase.project.id
+    },
+    status: reference(pick('statusId', currentTestCase.status?.id)),
+    priority: reference(pick('priorityId', currentTestCase.priority?.id)),
+    folder: reference(pick('folderId', currentTestCase.folder?.id)),
+    objective: pick('objective'),
+    precondition: pick('precondition'),
+    estimatedTime: pick('estimatedTime'),
+    labels: pick('labels') || [],
+    component: reference(pick('componentId', currentTestCase.component?.id)),
+    owner: ownerId ? { accountId: ownerId } : null,
+    customFields: pick('customFields') || {}
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Utility functions to read and write the test steps of a test case
+ */
+
+import { zephyrClient as client } from '../zephyr-client.js';
+
+/**
+ * Converts a step returned by the API back into the TestStep input schema
+ */
+export function toStepInput(step) {
+  if (step.testCase) {
+    const { testCaseKey, parameters } = step.testCase;
+    return { testCase: parameters ? { testCaseKey, parameters } : { testCaseKey } };
+  }
+
+  const { description, testData, expectedResult, customFields } = step.inline || {};
+  const inline = { description };
+  if (testData) inline.testData = testData;
+  if (expectedResult) inline.expectedResult = expectedResult;
+  if (customFields && Object.keys(customFields).length > 0) inline.customFields = customFields;
+
+  return { inline };
+}
+
+/**
+ * Summarizes a step for diffs and responses
+ */
+export function summarizeStep(step) {
+  if (step.testCase) {
+    return { testCaseKey: step.testCase.testCaseKey, parameters: step.testCase.parameters };
+  }
+
+  return {
+    description: step.inline?.description,
+    expectedResult: step.inline?.expectedResult,
+    testData: step.inline?.testData
+  };
+}
+
+/**
+ * Fetches every test step of a test case (handles pagination automatically)
+ */
+export async function fetchAllTestSteps(testCaseKey) {
+  const allSteps = [];
+  let startAt = 0;
+  const maxResults = 100; // Use maximum for efficiency
+
+  while (true) {
+    const response = await client.getTestSteps(testCaseKey, { maxResults, startAt });
+
+    if (response.values) {
+      allSteps.push(...response.values);
+    } else if (Array.isArray(response)) {
+      allSteps.push(...response);
+    }
+
+    // Check if we have all results
+    const total = response.total || response.size || 0;
+    if (allSteps.length >= total || response.values?.length < maxResults) {
+      break;
+    }
+
+    startAt += maxResults;
+  }
+
+  return allSteps;
+}
+
+/**
+ * Replaces every test step of a test case, 100 steps per request
+ */
+export async function writeAllTestSteps(testCaseKey, items) {
+  const results = [];
+
+  for (let start = 0; start < items.length; start += 100) {
+    // The first request replaces the existing steps, the next ones add to them
+    results.push(await client.appendTestSteps(testCaseKey, {
+      mode: start === 0 ? 'OVERWRITE' : 'APPEND',
+      items: items.slice(start, start + 100)
+    }));
+  }
+
+  return results;
+}
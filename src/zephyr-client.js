@@ -4,33 +4,58 @@
 
 import axios from 'axios';
 import config from './config.js';
+import { getCurrentProfile } from './profiles.js';
+import { getCapturedRequests } from './utils/dry-run.js';
+import { rememberRead, getRememberedRead, recordWrite } from './utils/audit-log.js';
+
+// Responses worth retrying: rate limiting and transient gateway errors
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class ZephyrClient {
   constructor() {
-    this.client = axios.create({
-      baseURL: config.baseUrl,
+    // One axios instance per profile, created on first use
+    this.clients = new Map();
+  }
+
+  /**
+   * Gets the axios instance of the profile of the current tool call
+   */
+  getHttpClient() {
+    const profile = getCurrentProfile();
+    if (!this.clients.has(profile.name)) {
+      this.clients.set(profile.name, this.createHttpClient(profile));
+    }
+    return this.clients.get(profile.name);
+  }
+
+  createHttpClient(profile) {
+    const client = axios.create({
+      baseURL: profile.baseUrl,
       timeout: config.timeout,
       headers: {
-        'Authorization': `Bearer ${config.apiToken}`
+        'Authorization': `Bearer ${profile.apiToken}`
       }
     });
 
     // Request interceptor for debugging
-    this.client.interceptors.request.use(
+    client.interceptors.request.use(
       (request) => {
-        console.debug(`[Zephyr API] ${request.method?.toUpperCase()} ${request.url}`);
+        console.debug(`[Zephyr API:${profile.name}] ${request.method?.toUpperCase()} ${request.url}`);
         return request;
       },
       (error) => {
-        console.error('[Zephyr API] Request error:', error);
+        console.error(`[Zephyr API:${profile.name}] Request error:`, error);
         return Promise.reject(error);
       }
     );
 
     // Response interceptor for error handling
-    this.client.interceptors.response.use(
+    client.interceptors.response.use(
       (response) => {
-        console.debug(`[Zephyr API] Response ${response.status} from ${response.config.url}`);
+        console.debug(`[Zephyr API:${profile.name}] Response ${response.status} from ${response.config.url}`);
         return response;
       },
       (error) => {
@@ -39,6 +64,7 @@ class ZephyrClient {
           statusText: error.response?.statusText,
           url: error.config?.url,
           method: error.config?.method?.toUpperCase(),
+          code: error.code,
           message: error.message,
           requestData: error.config?.data,
           params: error.config?.params
@@ -47,29 +73,131 @@ class ZephyrClient {
         if (error.response?.data) {
           errorDetails.responseData = error.response.data;
         }
+        if (error.response?.headers?.['retry-after']) {
+          errorDetails.retryAfter = error.response.headers['retry-after'];
+        }
 
-        console.error('[Zephyr API] Response error:', errorDetails);
+        console.error(`[Zephyr API:${profile.name}] Response error:`, errorDetails);
         return Promise.reject(errorDetails);
       }
     );
+
+    return client;
   }
 
-  async request(method, url, data = null, params = {}) {
-    const response = await this.client.request({
+  async request(method, url, data = null, params = {}, options = {}) {
+    // Remove null/undefined values
+    const requestParams = Object.fromEntries(
+      // eslint-disable-next-line no-unused-vars
+      Object.entries(params).filter(([_, value]) => value != null)
+    );
+
+    if (method.toUpperCase() === 'GET') {
+      const response = await this.send(method, url, data, requestParams, options);
+      rememberRead(url, response.data);
+      return response.data;
+    }
+
+    // Dry runs capture write requests instead of sending them
+    const capturedRequests = getCapturedRequests();
+    if (capturedRequests) {
+      capturedRequests.push({
+        method: method.toUpperCase(),
+        url: `${this.getHttpClient().defaults.baseURL}${url}`,
+        params: requestParams,
+        body: data
+      });
+      return null;
+    }
+
+    // Every write is recorded in the audit log, whether it succeeds or not
+    const auditEntry = {
+      profile: getCurrentProfile().name,
       method,
       url,
-      data,
-      params: {
-        ...params,
-        // Remove null/undefined values
-        ...Object.fromEntries(
-          // eslint-disable-next-line no-unused-vars
-          Object.entries(params).filter(([_, value]) => value != null)
-        )
+      baseUrl: this.getHttpClient().defaults.baseURL,
+      params: requestParams,
+      payload: data,
+      before: getRememberedRead(url)
+    };
+
+    try {
+      const response = await this.send(method, url, data, requestParams, options);
+      await recordWrite({ ...auditEntry, status: response.status, response: response.data });
+      return response.data;
+    } catch (error) {
+      await recordWrite({ ...auditEntry, status: error.status, error: error.message });
+      throw error;
+    }
+  }
+
+  // Sends a request, retrying transient failures
+  async send(method, url, data, params, options) {
+    const maxAttempts = config.maxRetries + 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.getHttpClient().request({
+          ...options,
+          method,
+          url,
+          data,
+          params
+        });
+      } catch (error) {
+        if (attempt >= maxAttempts || !this.isRetryable(method, error)) {
+          error.attempts = attempt;
+          error.message = `${error.message} (after ${attempt} attempt${attempt === 1 ? '' : 's'})`;
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(attempt, error);
+        console.error(`[Zephyr API] ${method} ${url} failed (${error.status || error.code}), retrying in ${delay}ms (attempt ${attempt + 1}/${maxAttempts})`);
+        await sleep(delay);
       }
-    });
-    return response.data;
+    }
+  }
+
+  // Retry logic
+  isRetryable(method, error) {
+    // Rate-limited requests were never processed, so they are safe to resend
+    if (error.status === 429) {
+      return true;
+    }
+
+    if (!IDEMPOTENT_METHODS.includes(method.toUpperCase())) {
+      return false;
+    }
+
+    // Network errors (connection reset, timeout, ...) have a code but no status
+    if (error.status === undefined) {
+      return Boolean(error.code);
+    }
+
+    return RETRYABLE_STATUSES.includes(error.status);
+  }
+
+  getRetryDelay(attempt, error) {
+    if (error.retryAfter) {
+      // Retry-After is either a number of seconds or an HTTP date
+      const seconds = Number(error.retryAfter);
+      const retryAfterMs = Number.isNaN(seconds)
+        ? Date.parse(error.retryAfter) - Date.now()
+        : seconds * 1000;
+
+      if (!Number.isNaN(retryAfterMs)) {
+        return Math.min(Math.max(retryAfterMs, 0), config.maxRetryDelay);
+      }
+    }
+
+    // Exponential backoff with jitter, between half and the full delay
+    const backoff = Math.min(config.retryDelay * 2 ** (attempt - 1), config.maxRetryDelay);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
 
+  // Follows a "self" link returned by the API (absolute URL)
+  async getLinkedResource(selfUrl, params = {}) {
+    return this.request('GET', selfUrl, null, params);
   }
 
   // Utility methods for pagination
@@ -98,6 +226,26 @@ class ZephyrClient {
     return allResults;
   }
 
+  // Cursor-based pagination (nextgen endpoints), stable when items change mid-scan
+  async getAllCursorPaginated(requestFn, limit = config.maxMaxResults) {
+    const allResults = [];
+    let startAtId = 0;
+
+    while (true) {
+      const response = await requestFn({ limit, startAtId });
+      allResults.push(...(response.values || []));
+
+      // A cursor that does not move forward would loop forever
+      if (response.nextStartAtId == null || response.nextStartAtId <= startAtId) {
+        break;
+      }
+
+      startAtId = response.nextStartAtId;
+    }
+
+    return allResults;
+  }
+
   // Projects
   async getProjects(params = {}) {
     return this.request('GET', '/projects', null, params);
@@ -125,6 +273,10 @@ class ZephyrClient {
     return this.request('GET', '/testcases', null, params);
   }
 
+  async getTestCasesNextgen(params = {}) {
+    return this.request('GET', '/testcases/nextgen', null, params);
+  }
+
   async getTestCase(testCaseKey) {
     return this.request('GET', `/testcases/${testCaseKey}`);
   }
@@ -137,6 +289,48 @@ class ZephyrClient {
     return this.request('PUT', `/testcases/${testCaseKey}`, testCaseData);
   }
 
+  async getTestCaseVersions(testCaseKey, params = {}) {
+    return this.request('GET', `/testcases/${testCaseKey}/versions`, null, params);
+  }
+
+  async getTestCaseVersion(testCaseKey, version) {
+    return this.request('GET', `/testcases/${testCaseKey}/versions/${version}`);
+  }
+
+  // Test Case Links
+  async getTestCaseLinks(testCaseKey) {
+    return this.request('GET', `/testcases/${testCaseKey}/links`);
+  }
+
+  async createTestCaseIssueLink(testCaseKey, linkData) {
+    return this.request('POST', `/testcases/${testCaseKey}/links/issues`, linkData);
+  }
+
+  async createTestCaseWebLink(testCaseKey, linkData) {
+    return this.request('POST', `/testcases/${testCaseKey}/links/weblinks`, linkData);
+  }
+
+  async deleteLink(linkId) {
+    return this.request('DELETE', `/links/${linkId}`);
+  }
+
+  // Issue Links (reverse lookup from Jira issues)
+  async getIssueLinkTestCases(issueKey) {
+    return this.request('GET', `/issuelinks/${issueKey}/testcases`);
+  }
+
+  async getIssueLinkTestCycles(issueKey) {
+    return this.request('GET', `/issuelinks/${issueKey}/testcycles`);
+  }
+
+  async getIssueLinkTestPlans(issueKey) {
+    return this.request('GET', `/issuelinks/${issueKey}/testplans`);
+  }
+
+  async getIssueLinkExecutions(issueKey) {
+    return this.request('GET', `/issuelinks/${issueKey}/executions`);
+  }
+
   // Test Steps
   async getTestSteps(testCaseKey, params = {}) {
     return this.request('GET', `/testcases/${testCaseKey}/teststeps`, null, params);
@@ -155,14 +349,96 @@ class ZephyrClient {
     return this.request('POST', `/testcases/${testCaseKey}/testscript`, scriptData);
   }
 
+  // Test Cycles
+  async getTestCycles(params = {}) {
+    return this.request('GET', '/testcycles', null, params);
+  }
+
+  async getTestCycle(testCycleIdOrKey) {
+    return this.request('GET', `/testcycles/${testCycleIdOrKey}`);
+  }
+
+  async createTestCycle(testCycleData) {
+    return this.request('POST', '/testcycles', testCycleData);
+  }
+
+  async updateTestCycle(testCycleIdOrKey, testCycleData) {
+    return this.request('PUT', `/testcycles/${testCycleIdOrKey}`, testCycleData);
+  }
+
+  // Test Executions
+  async getTestExecutionsNextgen(params = {}) {
+    return this.request('GET', '/testexecutions/nextgen', null, params);
+  }
+
+  async getTestExecution(testExecutionIdOrKey) {
+    return this.request('GET', `/testexecutions/${testExecutionIdOrKey}`);
+  }
+
+  async createTestExecution(testExecutionData) {
+    return this.request('POST', '/testexecutions', testExecutionData);
+  }
+
+  async updateTestExecution(testExecutionIdOrKey, testExecutionData) {
+    return this.request('PUT', `/testexecutions/${testExecutionIdOrKey}`, testExecutionData);
+  }
+
+  async getTestExecutionSteps(testExecutionIdOrKey, params = {}) {
+    return this.request('GET', `/testexecutions/${testExecutionIdOrKey}/teststeps`, null, params);
+  }
+
+  async updateTestExecutionSteps(testExecutionIdOrKey, stepsData) {
+    return this.request('PUT', `/testexecutions/${testExecutionIdOrKey}/teststeps`, stepsData);
+  }
+
+  // Test Plans
+  async getTestPlans(params = {}) {
+    return this.request('GET', '/testplans', null, params);
+  }
+
+  async getTestPlan(testPlanIdOrKey) {
+    return this.request('GET', `/testplans/${testPlanIdOrKey}`);
+  }
+
+  async createTestPlan(testPlanData) {
+    return this.request('POST', '/testplans', testPlanData);
+  }
+
+  async createTestPlanTestCycleLink(testPlanIdOrKey, linkData) {
+    return this.request('POST', `/testplans/${testPlanIdOrKey}/links/testcycles`, linkData);
+  }
+
+  async createTestPlanIssueLink(testPlanIdOrKey, linkData) {
+    return this.request('POST', `/testplans/${testPlanIdOrKey}/links/issues`, linkData);
+  }
+
+  async createTestPlanWebLink(testPlanIdOrKey, linkData) {
+    return this.request('POST', `/testplans/${testPlanIdOrKey}/links/weblinks`, linkData);
+  }
+
+  // Automations
+  async createAutomationExecutions(format, formData, params = {}) {
+    return this.request('POST', `/automations/executions/${format}`, formData, params);
+  }
+
+  async getAutomationTestCases(params = {}) {
+    return this.request('GET', '/automations/testcases', null, params, {
+      responseType: 'arraybuffer',
+      headers: { Accept: 'application/zip' }
+    });
+  }
+
   // Statuses and Priorities
-  async getStatuses() {
-    return this.request('GET', '/statuses');
+  async getStatuses(params = {}) {
+    return this.request('GET', '/statuses', null, params);
   }
 
-  async getPriorities() {
-    return this.request('GET', '/priorities');
+  async getPriorities(params = {}) {
+    return this.request('GET', '/priorities', null, params);
   }
 }
 
+// Shared by every tool module, the profile is picked per tool call
+export const zephyrClient = new ZephyrClient();
+
 export default ZephyrClient;
\ No newline at end of file
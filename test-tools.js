@@ -8,9 +8,23 @@
 import projectTools from './src/tools/project-tools.js';
 import folderTools from './src/tools/folder-tools.js';
 import testCaseTools from './src/tools/test-case-tools.js';
+import testCaseVersionTools from './src/tools/test-case-version-tools.js';
+import testCaseSearchTools from './src/tools/test-case-search-tools.js';
+import importTools from './src/tools/import-tools.js';
+import exportTools from './src/tools/export-tools.js';
+import bulkTools from './src/tools/bulk-tools.js';
 import testStepsTools from './src/tools/test-steps-tools.js';
 import testScriptTools from './src/tools/test-script-tools.js';
+import testCycleTools from './src/tools/test-cycle-tools.js';
+import testExecutionTools from './src/tools/test-execution-tools.js';
+import testPlanTools from './src/tools/test-plan-tools.js';
+import linkTools from './src/tools/link-tools.js';
+import automationTools from './src/tools/automation-tools.js';
 import referenceDataTools from './src/tools/reference-data-tools.js';
+import profileTools from './src/tools/profile-tools.js';
+import auditTools from './src/tools/audit-tools.js';
+import { runWithProfile } from './src/profiles.js';
+import { runWithAuditContext } from './src/utils/audit-log.js';
 
 // Load environment variables
 import dotenv from 'dotenv';
@@ -21,9 +35,21 @@ const allTools = [
   ...projectTools,
   ...folderTools,
   ...testCaseTools,
+  ...testCaseVersionTools,
+  ...testCaseSearchTools,
+  ...importTools,
+  ...exportTools,
+  ...bulkTools,
   ...testStepsTools,
   ...testScriptTools,
-  ...referenceDataTools
+  ...testCycleTools,
+  ...testExecutionTools,
+  ...testPlanTools,
+  ...linkTools,
+  ...automationTools,
+  ...referenceDataTools,
+  ...profileTools,
+  ...auditTools
 ];
 
 // Create tool lookup
@@ -44,7 +70,10 @@ async function testTool(toolName, args = {}) {
   }
 
   try {
-    const result = await tool.handler(args);
+    const { profile, ...toolArgs } = args;
+    const result = await runWithProfile(profile, () =>
+      runWithAuditContext(toolName, () => tool.handler(toolArgs))
+    );
     console.log('\n✅ SUCCESS:');
     if (result.content && result.content[0]) {
       if (result.content[0].type === 'text') {